@@ -1,11 +1,19 @@
 const http = require('http')
+const crypto = require('crypto')
+const { createReadStream, mkdirSync } = require('fs')
 const fs = require('fs/promises')
 const path = require('path')
 const {
   default: makeWASocket,
+  BufferJSON,
   DisconnectReason,
+  decryptPollVote,
   downloadContentFromMessage,
   fetchLatestBaileysVersion,
+  initAuthCreds,
+  jidNormalizedUser,
+  proto,
+  S_WHATSAPP_NET,
   useMultiFileAuthState,
 } = require('@whiskeysockets/baileys')
 const QRCode = require('qrcode')
@@ -28,8 +36,20 @@ const WORKER_SECRET = process.env.WORKER_SECRET
 const PORT = Number(process.env.PORT) || 3000
 const DISCOVERY_POLL_MS = Number(process.env.DISCOVERY_POLL_MS) || 10_000
 const QUEUE_POLL_MS = Number(process.env.QUEUE_POLL_MS) || 2_000
+const QUEUE_PUSH_ENABLED = ['1', 'true', 'yes'].includes(String(process.env.QUEUE_PUSH_ENABLED || '').toLowerCase())
+const QUEUE_SAFETY_POLL_MS = Math.max(QUEUE_POLL_MS, Number(process.env.QUEUE_SAFETY_POLL_MS) || 30_000)
+const QUEUE_PAGE_SIZE = Math.max(1, Number(process.env.QUEUE_PAGE_SIZE) || 50)
+const QUEUE_LONG_POLL_MS = Math.max(0, numberOrFallback(process.env.QUEUE_LONG_POLL_MS, 0))
+const OUTBOUND_CONCURRENCY = Math.max(1, Number(process.env.OUTBOUND_CONCURRENCY) || 4)
+const OUTBOUND_MEDIA_DOWNLOAD_CONCURRENCY = Math.max(1, Number(process.env.OUTBOUND_MEDIA_DOWNLOAD_CONCURRENCY) || 2)
 const AUTH_BASE = process.env.AUTH_BASE || '/data/auth'
 const MEDIA_BASE = process.env.MEDIA_BASE || '/data/media'
+const STATE_BASE = process.env.STATE_BASE || '/data/state'
+const AUTH_STORE = ['fs', 'backend', 'sqlite'].includes(process.env.AUTH_STORE) ? process.env.AUTH_STORE : 'fs'
+const AUTH_STORE_SECRET = process.env.AUTH_STORE_SECRET || ''
+const AUTH_SQLITE_PATH = process.env.AUTH_SQLITE_PATH || path.join(AUTH_BASE, 'auth.sqlite')
+const AUTH_STORE_FLUSH_DELAY_MS = 500
+const AUTH_STORE_FLUSH_RETRY_MS = 5_000
 
 const HTTP_TIMEOUT_MS = 10_000
 const KEEP_ALIVE_MS = 60_000
@@ -49,6 +69,8 @@ const FALLBACK_MAX_ACTIVE_INSTANCES = Math.max(
 const BAD_MAC_WINDOW_MS = Math.max(1_000, Number(process.env.BAD_MAC_WINDOW_MS) || 60_000)
 const BAD_MAC_THRESHOLD = Math.max(1, Number(process.env.BAD_MAC_THRESHOLD) || 20)
 const BAD_MAC_COOLDOWN_MS = Math.max(10_000, Number(process.env.BAD_MAC_COOLDOWN_MS) || 300_000)
+const AUTH_SNAPSHOT_KEEP = Math.max(1, Number(process.env.AUTH_SNAPSHOT_KEEP) || 5)
+const AUTH_SOFT_RECOVERY_WINDOW_MS = Math.max(60_000, Number(process.env.AUTH_SOFT_RECOVERY_WINDOW_MS) || 600_000)
 const CONTACT_RESOLVE_ERROR_COOLDOWN_MS = Math.max(
   10_000,
   Number(process.env.CONTACT_RESOLVE_ERROR_COOLDOWN_MS) || 60_000,
@@ -57,6 +79,98 @@ const CONTACT_RESOLVE_DUPLICATE_COOLDOWN_MS = Math.max(
   30_000,
   Number(process.env.CONTACT_RESOLVE_DUPLICATE_COOLDOWN_MS) || 300_000,
 )
+const INBOUND_SPOOL_MAX_ENTRIES = Math.max(100, Number(process.env.INBOUND_SPOOL_MAX_ENTRIES) || 10_000)
+const INBOUND_SPOOL_RETRY_DELAYS_MS = [2_000, 5_000, 10_000, 30_000, 60_000, 120_000]
+const INBOUND_SPOOL_MAX_ATTEMPTS = Math.max(1, Number(process.env.INBOUND_SPOOL_MAX_ATTEMPTS) || 50)
+const INBOUND_DEDUPE_MAX_ENTRIES = Math.max(500, Number(process.env.INBOUND_DEDUPE_MAX_ENTRIES) || 5_000)
+const INBOUND_DEDUPE_SAVE_DELAY_MS = 1_000
+const MEDIA_RETENTION_MS = Math.max(1, Number(process.env.MEDIA_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000
+const MEDIA_MAX_BYTES_PER_INSTANCE = Math.max(
+  10 * 1024 * 1024,
+  Number(process.env.MEDIA_MAX_BYTES_PER_INSTANCE) || 1024 * 1024 * 1024,
+)
+const MEDIA_URL_REUSE_MS = Math.max(1, Number(process.env.MEDIA_URL_REUSE_HOURS) || 24) * 60 * 60 * 1000
+const MEDIA_SWEEP_INTERVAL_MS = Math.max(60_000, Number(process.env.MEDIA_SWEEP_INTERVAL_MS) || 15 * 60_000)
+const MEDIA_INDEX_SAVE_DELAY_MS = 1_000
+const MEDIA_UPLOAD_MODE = process.env.MEDIA_UPLOAD_MODE === 'stream' ? 'stream' : 'base64'
+const MEDIA_MAX_BYTES = Math.max(1024 * 1024, Number(process.env.MEDIA_MAX_BYTES) || 64 * 1024 * 1024)
+const MEDIA_MIN_THROUGHPUT_BPS = Math.max(16 * 1024, Number(process.env.MEDIA_MIN_THROUGHPUT_BPS) || 256 * 1024)
+const OUTBOUND_MEDIA_MAX_BYTES = Math.max(1024 * 1024, Number(process.env.OUTBOUND_MEDIA_MAX_BYTES) || MEDIA_MAX_BYTES)
+const OUTBOUND_MEDIA_CACHE_FRESH_MS = Math.max(0, numberOrFallback(process.env.OUTBOUND_MEDIA_CACHE_FRESH_MS, 10 * 60 * 1000))
+const OUTBOUND_MEDIA_CACHE_MAX_ENTRIES = 2_000
+const MIME_SNIFF_BYTES = 64
+const SEND_PACING_DEFAULTS = {
+  messages_per_minute: Math.max(0, numberOrFallback(process.env.SEND_RATE_PER_MINUTE, 30)),
+  per_recipient_per_minute: Math.max(0, numberOrFallback(process.env.SEND_RATE_PER_RECIPIENT_PER_MINUTE, 10)),
+  min_delay_ms: Math.max(0, numberOrFallback(process.env.SEND_DELAY_MIN_MS, 500)),
+  max_delay_ms: Math.max(0, numberOrFallback(process.env.SEND_DELAY_MAX_MS, 1_500)),
+  typing: ['1', 'true', 'yes'].includes(String(process.env.SEND_TYPING_SIMULATION || '').toLowerCase()),
+  typing_ms_per_char: Math.max(0, numberOrFallback(process.env.SEND_TYPING_MS_PER_CHAR, 50)),
+  typing_min_ms: Math.max(0, numberOrFallback(process.env.SEND_TYPING_MIN_MS, 1_000)),
+  typing_max_ms: Math.max(0, numberOrFallback(process.env.SEND_TYPING_MAX_MS, 8_000)),
+}
+const SEND_PACING_MAX_TRACKED_RECIPIENTS = 1_000
+const OUTBOUND_JOURNAL_RETENTION_MS = 24 * 60 * 60 * 1000
+const OUTBOUND_JOURNAL_MAX_ENTRIES = 20_000
+const OUTBOUND_CALLBACK_RETRY_DELAYS_MS = [2_000, 5_000, 10_000, 30_000, 60_000, 120_000, 300_000]
+const OUTBOUND_RETRY_MAX_ATTEMPTS = Math.max(0, numberOrFallback(process.env.OUTBOUND_RETRY_MAX_ATTEMPTS, 3))
+const OUTBOUND_RETRY_DELAYS_MS = [5_000, 30_000, 120_000]
+// send_at this close to now is treated as "send immediately"
+const OUTBOUND_SCHEDULE_TOLERANCE_MS = 1_000
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1
+const HISTORY_IMPORT_ENABLED = ['1', 'true', 'yes'].includes(String(process.env.HISTORY_IMPORT_ENABLED || '').toLowerCase())
+const HISTORY_IMPORT_MAX_DAYS = Math.max(1, Number(process.env.HISTORY_IMPORT_MAX_DAYS) || 30)
+const HISTORY_IMPORT_MAX_MESSAGES_PER_CHAT = Math.max(1, Number(process.env.HISTORY_IMPORT_MAX_MESSAGES_PER_CHAT) || 100)
+const HISTORY_IMPORT_BATCH_SIZE = Math.max(1, Number(process.env.HISTORY_IMPORT_BATCH_SIZE) || 50)
+const HISTORY_IMPORT_BATCH_DELAY_MS = Math.max(0, numberOrFallback(process.env.HISTORY_IMPORT_BATCH_DELAY_MS, 1_000))
+const HISTORY_IMPORT_RETRY_DELAYS_MS = [2_000, 10_000, 30_000]
+const PAIRING_CODE_TTL_MS = Math.max(30_000, Number(process.env.PAIRING_CODE_TTL_MS) || 120_000)
+const PAIRING_CODE_MAX_REQUESTS = Math.max(1, Number(process.env.PAIRING_CODE_MAX_REQUESTS) || 5)
+const LOGIN_STATUS_DELIVERY_ATTEMPTS = 3
+const SOCKET_WATCHDOG_ENABLED = !['0', 'false', 'no'].includes(String(process.env.SOCKET_WATCHDOG_ENABLED || '').toLowerCase())
+const SOCKET_WATCHDOG_INTERVAL_MS = Math.max(10_000, Number(process.env.SOCKET_WATCHDOG_INTERVAL_MS) || 60_000)
+const SOCKET_STALE_AFTER_MS = Math.max(
+  SOCKET_WATCHDOG_INTERVAL_MS * 2,
+  Number(process.env.SOCKET_STALE_AFTER_MS) || 5 * 60 * 1000,
+)
+const SOCKET_PROBE_TIMEOUT_MS = Math.max(1_000, Number(process.env.SOCKET_PROBE_TIMEOUT_MS) || 15_000)
+const SOCKET_PROBE_MAX_FAILURES = Math.max(1, Number(process.env.SOCKET_PROBE_MAX_FAILURES) || 2)
+const CONNECT_FAILURE_ALERT_THRESHOLD = Math.max(1, Number(process.env.CONNECT_FAILURE_ALERT_THRESHOLD) || 3)
+
+// ConnectionRunner lifecycle: `state` is reported next to the legacy `status` it maps to
+const CONNECTION_STATE_STATUS = {
+  connecting: 'CONNECTING',
+  awaiting_qr_scan: 'CONNECTING',
+  awaiting_pairing_code: 'CONNECTING',
+  connected: 'CONNECTED',
+  qr_expired: 'DISCONNECTED',
+  reconnecting: 'DISCONNECTED',
+  connect_failing: 'DISCONNECTED',
+  logged_out: 'DISCONNECTED',
+  banned: 'DISCONNECTED',
+  recovering_session: 'DISCONNECTED',
+  lock_held: 'DISCONNECTED',
+  stopped: 'DISCONNECTED',
+}
+
+const DISCONNECT_REASON_NAMES = {
+  401: 'logged_out',
+  403: 'forbidden',
+  408: 'connection_lost',
+  411: 'multidevice_mismatch',
+  428: 'connection_closed',
+  440: 'connection_replaced',
+  500: 'bad_session',
+  503: 'service_unavailable',
+  515: 'restart_required',
+}
+const NUMBER_CHECK_ENABLED = !['0', 'false', 'no'].includes(String(process.env.NUMBER_CHECK_ENABLED || '').toLowerCase())
+const NUMBER_CHECK_TTL_MS = Math.max(60_000, Number(process.env.NUMBER_CHECK_TTL_MS) || 24 * 60 * 60 * 1000)
+const NUMBER_CHECK_NEGATIVE_TTL_MS = Math.max(60_000, Number(process.env.NUMBER_CHECK_NEGATIVE_TTL_MS) || 60 * 60 * 1000)
+const NUMBER_CHECK_CACHE_MAX_ENTRIES = 20_000
+const NUMBER_CHECK_BATCH_SIZE = 50
+const NUMBER_LOOKUP_MAX_NUMBERS = 1_000
+const HTTP_BODY_MAX_BYTES = 1024 * 1024
 
 const SIGNAL_SESSION_ERROR_SNIPPETS = [
   'bad mac',
@@ -64,6 +178,66 @@ const SIGNAL_SESSION_ERROR_SNIPPETS = [
   'no matching sessions found',
 ]
 
+// stable codes reported as error_code in /mark-failed; only these are retried locally
+const OUTBOUND_RETRYABLE_ERROR_CODES = new Set([
+  'media_fetch_timeout',
+  'media_fetch_failed',
+  'socket_not_ready',
+  'session_error',
+  'rate_limited',
+  'send_timeout',
+])
+const OUTBOUND_PERMANENT_ERROR_CODES = new Set([
+  'malformed_message',
+  'invalid_message_kind',
+  'invalid_location',
+  'invalid_contacts',
+  'invalid_poll',
+  'invalid_destination',
+  'lid_without_mapping',
+  'recipient_not_on_whatsapp',
+  'target_message_not_found',
+  'edit_target_not_from_me',
+  'delete_target_not_from_me',
+  'media_not_found',
+  'media_fetch_rejected',
+  'media_too_large',
+  'send_outcome_unknown',
+  'invalid_schedule',
+  'expired',
+  'send_failed',
+])
+
+const PROTOCOL_MESSAGE_REVOKE = 0
+const PROTOCOL_MESSAGE_EDIT = 14
+const POLL_STORE_MAX_ENTRIES = 500
+// proto.WebMessageInfo.Status values reported back for outbound messages
+const MESSAGE_ACK_STATUSES = {
+  2: 'server_ack',
+  3: 'delivered',
+  4: 'read',
+  5: 'played',
+}
+const MESSAGE_ACK_RANK = { server_ack: 1, delivered: 2, read: 3, played: 4 }
+const MESSAGE_STATUS_CACHE_MAX_ENTRIES = 2_000
+const MESSAGE_WRAPPER_MAX_DEPTH = 5
+const QUOTED_BODY_SNIPPET_MAX = 280
+const MESSAGE_STORE_MAX_ENTRIES = Math.max(100, Number(process.env.MESSAGE_STORE_MAX_ENTRIES) || 2_000)
+const MESSAGE_STORE_INBOUND_PER_CHAT = Math.max(5, Number(process.env.MESSAGE_STORE_INBOUND_PER_CHAT) || 30)
+const MESSAGE_STORE_INBOUND_MAX_CHATS = Math.max(50, Number(process.env.MESSAGE_STORE_INBOUND_MAX_CHATS) || 1_000)
+const MESSAGE_STORE_SAVE_DELAY_MS = 5_000
+const MESSAGE_STORE_SKIPPED_TYPES = ['messageContextInfo', 'senderKeyDistributionMessage', 'protocolMessage']
+const OUTBOUND_ACTIONS = ['react', 'edit', 'delete']
+const POLL_OPTIONS_MIN = 2
+const POLL_OPTIONS_MAX = 12
+const MESSAGE_WRAPPERS = {
+  ephemeralMessage: { ephemeral: true },
+  viewOnceMessage: { viewOnce: true },
+  viewOnceMessageV2: { viewOnce: true },
+  viewOnceMessageV2Extension: { viewOnce: true },
+  documentWithCaptionMessage: {},
+}
+
 const PROCESS_OWNER_ID = `${process.env.INSTANCE_OWNER_PREFIX || process.env.HOSTNAME || 'worker'}:${process.pid}`
 
 let instanceManager = null
@@ -127,9 +301,17 @@ async function safeReadBody(response) {
   return response.text().catch(() => '')
 }
 
-async function requestJson(method, endpoint, body) {
+async function httpErrorFromResponse(response) {
+  const details = await safeReadBody(response)
+  const error = new Error(`HTTP ${response.status}${details ? `: ${details.slice(0, 220)}` : ''}`)
+  error.statusCode = response.status
+  error.responseBody = details
+  return error
+}
+
+async function requestJson(method, endpoint, body, { timeoutMs = HTTP_TIMEOUT_MS } = {}) {
   const controller = new AbortController()
-  const timeout = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS)
+  const timeout = setTimeout(() => controller.abort(), timeoutMs)
 
   try {
     const response = await fetch(`${EDGE_BASE_URL}${endpoint}`, {
@@ -140,11 +322,7 @@ async function requestJson(method, endpoint, body) {
     })
 
     if (!response.ok) {
-      const details = await safeReadBody(response)
-      const error = new Error(`HTTP ${response.status}${details ? `: ${details.slice(0, 220)}` : ''}`)
-      error.statusCode = response.status
-      error.responseBody = details
-      throw error
+      throw await httpErrorFromResponse(response)
     }
 
     if (response.status === 204) {
@@ -260,8 +438,39 @@ function extractSenderPn(message) {
   return null
 }
 
+function unwrapMessageContent(rawMessageNode) {
+  let messageNode = rawMessageNode || {}
+  let isEphemeral = false
+  let isViewOnce = false
+
+  for (let depth = 0; depth < MESSAGE_WRAPPER_MAX_DEPTH; depth++) {
+    const wrapperKey = Object.keys(MESSAGE_WRAPPERS).find((key) => messageNode?.[key]?.message)
+    if (!wrapperKey) {
+      break
+    }
+
+    isEphemeral = isEphemeral || Boolean(MESSAGE_WRAPPERS[wrapperKey].ephemeral)
+    isViewOnce = isViewOnce || Boolean(MESSAGE_WRAPPERS[wrapperKey].viewOnce)
+    messageNode = messageNode[wrapperKey].message
+  }
+
+  for (const node of Object.values(messageNode)) {
+    if (!node || typeof node !== 'object') {
+      continue
+    }
+    if (node.viewOnce) {
+      isViewOnce = true
+    }
+    if (Number(node.contextInfo?.expiration) > 0) {
+      isEphemeral = true
+    }
+  }
+
+  return { messageNode, isEphemeral, isViewOnce }
+}
+
 function extractInboundContent(message) {
-  const messageNode = message?.message || {}
+  const { messageNode } = unwrapMessageContent(message?.message)
 
   if (messageNode?.conversation || messageNode?.extendedTextMessage?.text) {
     return {
@@ -303,9 +512,237 @@ function extractInboundContent(message) {
     }
   }
 
+  if (messageNode?.stickerMessage) {
+    return {
+      mediaType: 'sticker',
+      body: '',
+      content: messageNode.stickerMessage,
+    }
+  }
+
+  if (messageNode?.locationMessage || messageNode?.liveLocationMessage) {
+    const location = messageNode.locationMessage || messageNode.liveLocationMessage
+    const isLive = !messageNode.locationMessage
+    return {
+      mediaType: null,
+      body: (location.comment || location.caption || '').trim(),
+      content: null,
+      structured: {
+        location: {
+          latitude: numberFromUnknown(location.degreesLatitude),
+          longitude: numberFromUnknown(location.degreesLongitude),
+          name: location.name || null,
+          address: location.address || null,
+          url: location.url || null,
+          accuracy_m: numberFromUnknown(location.accuracyInMeters),
+          is_live: isLive,
+        },
+      },
+    }
+  }
+
+  if (messageNode?.contactMessage || messageNode?.contactsArrayMessage) {
+    const cards = messageNode.contactMessage
+      ? [messageNode.contactMessage]
+      : messageNode.contactsArrayMessage.contacts || []
+    return {
+      mediaType: null,
+      body: '',
+      content: null,
+      structured: {
+        contacts: cards.map((card) => ({
+          display_name: card?.displayName || null,
+          ...parseVcard(card?.vcard),
+        })),
+      },
+    }
+  }
+
+  const pollCreation =
+    messageNode?.pollCreationMessage ||
+    messageNode?.pollCreationMessageV2 ||
+    messageNode?.pollCreationMessageV3 ||
+    null
+  if (pollCreation) {
+    return {
+      mediaType: null,
+      body: '',
+      content: null,
+      structured: {
+        poll: {
+          question: pollCreation.name || '',
+          options: (pollCreation.options || []).map((option) => option?.optionName || ''),
+          selectable_count: numberFromUnknown(pollCreation.selectableOptionsCount) || 0,
+        },
+      },
+    }
+  }
+
   return { mediaType: null, body: '', content: null }
 }
 
+function extractContextInfo(message) {
+  const { messageNode } = unwrapMessageContent(message?.message)
+
+  for (const node of Object.values(messageNode)) {
+    if (node && typeof node === 'object' && node.contextInfo) {
+      return node.contextInfo
+    }
+  }
+
+  return null
+}
+
+function extractQuoteContext(message) {
+  const contextInfo = extractContextInfo(message)
+  if (!contextInfo) {
+    return null
+  }
+
+  const quoted = contextInfo.quotedMessage
+    ? extractInboundContent({ message: contextInfo.quotedMessage })
+    : null
+
+  return {
+    quotedMessageId: contextInfo.stanzaId || null,
+    quotedParticipant: contextInfo.participant || null,
+    quotedBody: quoted ? quoted.body.slice(0, QUOTED_BODY_SNIPPET_MAX) : null,
+    quotedMediaType: quoted?.mediaType || null,
+    mentionedJids: Array.isArray(contextInfo.mentionedJid) ? contextInfo.mentionedJid : [],
+    isForwarded: Boolean(contextInfo.isForwarded),
+    forwardingScore: numberFromUnknown(contextInfo.forwardingScore) || 0,
+  }
+}
+
+function unescapeVcardValue(value) {
+  return String(value || '')
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim()
+}
+
+function parseVcard(vcard) {
+  const parsed = {
+    full_name: null,
+    organization: null,
+    phones: [],
+    emails: [],
+    vcard: vcard || null,
+  }
+
+  if (!vcard) {
+    return parsed
+  }
+
+  // RFC 6350 line folding: continuation lines start with a space or tab
+  const lines = String(vcard).replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+
+  for (const line of lines) {
+    const separator = line.indexOf(':')
+    if (separator <= 0) {
+      continue
+    }
+
+    const [rawName, ...params] = line.slice(0, separator).split(';')
+    const name = rawName.replace(/^item\d+\./i, '').toUpperCase()
+    const value = line.slice(separator + 1)
+
+    if (name === 'FN') {
+      parsed.full_name = unescapeVcardValue(value) || null
+    } else if (name === 'ORG') {
+      parsed.organization = unescapeVcardValue(value.replace(/;+$/, '')) || null
+    } else if (name === 'TEL') {
+      const waidParam = params.find((param) => param.toLowerCase().startsWith('waid='))
+      const types = params
+        .filter((param) => param.toLowerCase().startsWith('type='))
+        .map((param) => param.slice(5).toLowerCase())
+      parsed.phones.push({
+        number: unescapeVcardValue(value),
+        wa_id: waidParam ? normalizeDigits(waidParam.slice(5)) || null : null,
+        types,
+      })
+    } else if (name === 'EMAIL') {
+      parsed.emails.push(unescapeVcardValue(value))
+    }
+  }
+
+  return parsed
+}
+
+function resolveKeyAuthor(key, meId) {
+  if (key?.fromMe) {
+    return meId ? jidNormalizedUser(meId) : ''
+  }
+  return key?.participant || key?.remoteJid || ''
+}
+
+function pollOptionHash(optionName) {
+  return crypto.createHash('sha256').update(Buffer.from(optionName || '')).digest('hex')
+}
+
+function longToNumber(value) {
+  if (value && typeof value.toNumber === 'function') {
+    return value.toNumber()
+  }
+  return numberFromUnknown(value)
+}
+
+function resolveMessageTimestamp(message) {
+  return longToNumber(message?.messageTimestamp)
+}
+
+function extractInboundEvent(message) {
+  const { messageNode } = unwrapMessageContent(message?.message)
+
+  if (messageNode?.reactionMessage) {
+    const reaction = messageNode.reactionMessage
+    const emoji = String(reaction.text || '')
+    return {
+      eventType: emoji ? 'reaction_added' : 'reaction_removed',
+      targetKey: reaction.key || null,
+      emoji: emoji || null,
+      body: null,
+    }
+  }
+
+  if (messageNode?.pollUpdateMessage) {
+    const pollUpdate = messageNode.pollUpdateMessage
+    return {
+      eventType: 'poll_vote',
+      targetKey: pollUpdate.pollCreationMessageKey || null,
+      emoji: null,
+      body: null,
+      vote: pollUpdate.vote || null,
+    }
+  }
+
+  const protocolMessage =
+    messageNode?.protocolMessage || messageNode?.editedMessage?.message?.protocolMessage || null
+  if (!protocolMessage) {
+    return null
+  }
+
+  if (protocolMessage.type === PROTOCOL_MESSAGE_REVOKE) {
+    return {
+      eventType: 'message_revoked',
+      targetKey: protocolMessage.key || null,
+      emoji: null,
+      body: null,
+    }
+  }
+
+  if (protocolMessage.type === PROTOCOL_MESSAGE_EDIT && protocolMessage.editedMessage) {
+    return {
+      eventType: 'message_edited',
+      targetKey: protocolMessage.key || null,
+      emoji: null,
+      body: extractInboundContent({ message: protocolMessage.editedMessage }).body,
+    }
+  }
+
+  return null
+}
+
 function resolvePushName(upsert, message) {
   return upsert?.pushName || message?.pushName || null
 }
@@ -318,6 +755,17 @@ function normalizeDigits(value) {
   return String(value || '').replace(/\D/g, '')
 }
 
+// Brazilian mobiles may be registered with or without the ninth digit, so both spellings are tried
+function phoneLookupKeys(digits) {
+  const keys = [digits]
+  if (digits.startsWith('55') && digits.length === 13 && digits[4] === '9') {
+    keys.push(`${digits.slice(0, 4)}${digits.slice(5)}`)
+  } else if (digits.startsWith('55') && digits.length === 12) {
+    keys.push(`${digits.slice(0, 4)}9${digits.slice(4)}`)
+  }
+  return keys
+}
+
 function sanitizeFileName(name) {
   return String(name || '')
     .replace(/[^a-zA-Z0-9._-]/g, '_')
@@ -356,20 +804,91 @@ function inferExtension({ mimeType, fileName, mediaType }) {
       ? 'mp4'
       : mediaType === 'audio'
         ? 'ogg'
-        : 'bin'
+        : mediaType === 'sticker'
+          ? 'webp'
+          : 'bin'
 }
 
-async function streamToBuffer(stream) {
-  const chunks = []
-  for await (const chunk of stream) {
-    chunks.push(chunk)
+// magic-byte detection for outbound media; null when the signature is unknown
+function sniffMimeType(head) {
+  if (!head || head.length < 4) {
+    return null
+  }
+
+  const ascii = (start, end) => head.subarray(start, end).toString('latin1')
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg'
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png'
+  if (ascii(0, 4) === 'GIF8') return 'image/gif'
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp'
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav'
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf'
+  if (ascii(0, 4) === 'OggS') return head.includes('OpusHead') ? 'audio/ogg; codecs=opus' : 'audio/ogg'
+  if (ascii(0, 4) === 'fLaC') return 'audio/flac'
+  if (head[0] === 0xff && (head[1] & 0xf6) === 0xf0) return 'audio/aac'
+  if (ascii(0, 3) === 'ID3' || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0)) return 'audio/mpeg'
+  if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) return 'video/webm'
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12)
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4'
+    if (brand === 'qt  ') return 'video/quicktime'
+    if (brand.startsWith('3g')) return 'video/3gpp'
+    if (['heic', 'heix', 'mif1'].includes(brand)) return 'image/heic'
+    return 'video/mp4'
+  }
+  if (ascii(0, 4) === 'PK\x03\x04') return 'application/zip'
+  return null
+}
+
+// office documents are zip containers, so a declared type beats a bare application/zip
+function resolveOutboundMime(sniffed, declared) {
+  if (sniffed && sniffed !== 'application/zip') {
+    return sniffed
+  }
+  if (declared && declared !== 'application/octet-stream') {
+    return declared
+  }
+  return sniffed || 'application/octet-stream'
+}
+
+function resolveOutboundMediaType(requested, mimeType) {
+  const family = mimeType.split('/')[0]
+  const detected = ['image', 'video', 'audio'].includes(family) ? family : 'document'
+  if (!requested) {
+    return detected
+  }
+  if (requested !== 'document' && detected !== requested && mimeType !== 'application/octet-stream') {
+    return 'document'
+  }
+  return requested
+}
+
+async function readFileHead(filePath, length) {
+  const handle = await fs.open(filePath, 'r')
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0)
+    return buffer.subarray(0, bytesRead)
+  } finally {
+    await handle.close()
   }
-  return Buffer.concat(chunks)
 }
 
-async function downloadInboundMedia(content, mediaType) {
-  const stream = await downloadContentFromMessage(content, mediaType)
-  return streamToBuffer(stream)
+function mediaTransferTimeoutMs(sizeBytes) {
+  return HTTP_TIMEOUT_MS + Math.ceil((Number(sizeBytes) || 0) / MEDIA_MIN_THROUGHPUT_BPS) * 1_000
+}
+
+function isMissingSpoolMedia(error) {
+  return error?.code === 'ENOENT' || String(error?.message || '').startsWith('media-store-miss:')
+}
+
+async function uploadStoredMedia(edgeClient, mediaStore, hash, metadata) {
+  const { filePath, size } = await mediaStore.describe(hash)
+
+  if (MEDIA_UPLOAD_MODE === 'stream') {
+    return edgeClient.uploadMediaStream({ ...metadata, filePath, size })
+  }
+
+  const buffer = await fs.readFile(filePath)
+  return edgeClient.uploadMedia({ ...metadata, bytes_base64: buffer.toString('base64') }, { size })
 }
 
 function normalizeOutboundTo(message) {
@@ -395,6 +914,191 @@ function normalizeOutboundTo(message) {
   return { originalTo, toNormalized: originalTo }
 }
 
+function normalizeMentions(mentions) {
+  if (!Array.isArray(mentions)) {
+    return []
+  }
+
+  const normalized = []
+  for (const mention of mentions) {
+    const jid = normalizeOutboundTo({ to: mention })?.toNormalized
+    if (jid && !normalized.includes(jid)) {
+      normalized.push(jid)
+    }
+  }
+  return normalized
+}
+
+function resolveOutboundKind(queued) {
+  if (queued?.action) return 'action'
+  if (queued?.location) return 'location'
+  if (queued?.contacts) return 'contacts'
+  if (queued?.poll) return 'poll'
+  if (queued?.media_url) return 'media'
+  return 'text'
+}
+
+function validateOutboundLocation(location) {
+  const latitude = Number(location?.latitude)
+  const longitude = Number(location?.longitude)
+
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return 'location.latitude must be a number between -90 and 90'
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return 'location.longitude must be a number between -180 and 180'
+  }
+  return null
+}
+
+function validateOutboundContacts(contacts) {
+  if (!Array.isArray(contacts) || contacts.length === 0) {
+    return 'contacts must be a non-empty list'
+  }
+
+  for (const [index, contact] of contacts.entries()) {
+    if (contact?.vcard) {
+      if (!String(contact.vcard).includes('BEGIN:VCARD')) {
+        return `contacts[${index}].vcard is not a vCard`
+      }
+      continue
+    }
+
+    if (!contact?.full_name && !contact?.display_name) {
+      return `contacts[${index}] requires full_name or display_name`
+    }
+
+    const phones = Array.isArray(contact.phones) ? contact.phones : [contact.phone]
+    if (!phones.some((phone) => normalizeDigits(phone?.number ?? phone))) {
+      return `contacts[${index}] requires at least one phone`
+    }
+  }
+
+  return null
+}
+
+function validateOutboundPoll(poll) {
+  const question = String(poll?.question || '').trim()
+  const options = Array.isArray(poll?.options) ? poll.options.map((option) => String(option || '').trim()) : []
+  const selectableCount = poll?.selectable_count ?? 1
+
+  if (!question) {
+    return 'poll.question is required'
+  }
+  if (options.length < POLL_OPTIONS_MIN || options.length > POLL_OPTIONS_MAX) {
+    return `poll.options must have between ${POLL_OPTIONS_MIN} and ${POLL_OPTIONS_MAX} entries`
+  }
+  if (options.some((option) => !option) || new Set(options).size !== options.length) {
+    return 'poll.options must be unique and non-empty'
+  }
+  if (!Number.isInteger(Number(selectableCount)) || selectableCount < 0 || selectableCount > options.length) {
+    return 'poll.selectable_count must be between 0 (any) and the number of options'
+  }
+  return null
+}
+
+// accepts ISO strings or epoch numbers (seconds or milliseconds); null when absent, NaN when unparseable
+function parseScheduleTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const numeric = Number(value)
+    return numeric < 1e12 ? numeric * 1000 : numeric
+  }
+  return Date.parse(String(value))
+}
+
+function isQueuedMessageExpired(queued, now = Date.now()) {
+  const expiresAt = parseScheduleTime(queued?.expires_at)
+  return expiresAt !== null && expiresAt <= now
+}
+
+function validateQueuedMessage(queued) {
+  if (!queued?.id || !queued?.to) {
+    return { error: 'malformed-message', reason: 'missing required fields (id or to)' }
+  }
+
+  for (const field of ['send_at', 'expires_at']) {
+    if (Number.isNaN(parseScheduleTime(queued[field]))) {
+      return { error: 'invalid_schedule', reason: `${field} must be an ISO date or epoch timestamp` }
+    }
+  }
+
+  const structuredKinds = ['location', 'contacts', 'poll'].filter((field) => queued[field])
+  if (structuredKinds.length > 1 || (structuredKinds.length > 0 && (queued.action || queued.media_url))) {
+    return { error: 'invalid_message_kind', reason: 'location, contacts, poll, media_url and action are exclusive' }
+  }
+
+  const kind = resolveOutboundKind(queued)
+
+  if (kind === 'action') {
+    if (!OUTBOUND_ACTIONS.includes(queued.action)) {
+      return { error: 'malformed-message', reason: `unsupported action: ${queued.action}` }
+    }
+    if (!queued.target_wa_message_id) {
+      return { error: 'malformed-message', reason: `action ${queued.action} requires target_wa_message_id` }
+    }
+    if (queued.action === 'edit' && !queued.body) {
+      return { error: 'malformed-message', reason: 'action edit requires body' }
+    }
+    return null
+  }
+
+  if (kind === 'location') {
+    const reason = validateOutboundLocation(queued.location)
+    return reason ? { error: 'invalid_location', reason } : null
+  }
+
+  if (kind === 'contacts') {
+    const reason = validateOutboundContacts(queued.contacts)
+    return reason ? { error: 'invalid_contacts', reason } : null
+  }
+
+  if (kind === 'poll') {
+    const reason = validateOutboundPoll(queued.poll)
+    return reason ? { error: 'invalid_poll', reason } : null
+  }
+
+  if (!queued.body && !queued.media_url) {
+    return { error: 'malformed-message', reason: 'missing required fields (to, body, or media_url)' }
+  }
+
+  return null
+}
+
+function escapeVcardValue(value) {
+  return String(value || '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1')
+}
+
+function buildVcard(contact) {
+  if (contact.vcard) {
+    return String(contact.vcard)
+  }
+
+  const fullName = contact.full_name || contact.display_name
+  const phones = Array.isArray(contact.phones) ? contact.phones : [contact.phone]
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeVcardValue(fullName)}`]
+
+  if (contact.organization) {
+    lines.push(`ORG:${escapeVcardValue(contact.organization)};`)
+  }
+
+  for (const phone of phones) {
+    const number = String(phone?.number ?? phone ?? '').trim()
+    const waId = normalizeDigits(phone?.wa_id || number)
+    if (!waId) continue
+    lines.push(`TEL;type=CELL;type=VOICE;waid=${waId}:${number || `+${waId}`}`)
+  }
+
+  for (const email of Array.isArray(contact.emails) ? contact.emails : []) {
+    lines.push(`EMAIL;type=INTERNET:${escapeVcardValue(email)}`)
+  }
+
+  lines.push('END:VCARD')
+  return lines.join('\n')
+}
+
 function extractLidPnPair(message) {
   const key = message?.key || {}
   const candidates = [
@@ -460,387 +1164,3084 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms))
 }
 
+async function writeFileAtomic(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  await fs.writeFile(tmpPath, data)
+  await fs.rename(tmpPath, filePath)
+}
+
 function isSignalSessionError(errorLike) {
   const serialized = String(errorLike?.message || errorLike || '').toLowerCase()
   return SIGNAL_SESSION_ERROR_SNIPPETS.some((snippet) => serialized.includes(snippet))
 }
 
-class IdentityAliasStore {
-  constructor(filePath) {
-    this.filePath = filePath
-    this.loaded = false
-    this.data = { lid_to_pn: {}, pn_to_lid: {} }
-  }
+function outboundError(code, message = code) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
 
-  async load() {
-    if (this.loaded) {
-      return
-    }
+function mediaFetchErrorCode(status) {
+  if (status === 404 || status === 410) {
+    return 'media_not_found'
+  }
+  if (status >= 500 || status === 408 || status === 429) {
+    return 'media_fetch_failed'
+  }
+  return 'media_fetch_rejected'
+}
 
-    this.loaded = true
-    try {
-      const raw = await fs.readFile(this.filePath, 'utf8')
-      const parsed = JSON.parse(raw)
-      this.data = {
-        lid_to_pn: parsed?.lid_to_pn || {},
-        pn_to_lid: parsed?.pn_to_lid || {},
-      }
-    } catch (error) {
-      if (error?.code !== 'ENOENT') {
-        console.warn(`[identity-map] load failed path=${this.filePath} reason=${normalizeReason(error)}`)
-      }
-    }
+// beforeSend: raised by the worker's own checks (outboundError) before anything reached the socket;
+// codes inferred from a Baileys error leave open whether WhatsApp already got the message
+function classifyOutboundError(error) {
+  const message = normalizeReason(error)
+  const code = String(error?.code || '')
+  if (OUTBOUND_RETRYABLE_ERROR_CODES.has(code) || OUTBOUND_PERMANENT_ERROR_CODES.has(code)) {
+    return { code, retryable: OUTBOUND_RETRYABLE_ERROR_CODES.has(code), message, beforeSend: true }
   }
 
-  async save() {
-    await fs.mkdir(path.dirname(this.filePath), { recursive: true })
-    await fs.writeFile(this.filePath, JSON.stringify(this.data), 'utf8')
+  const statusCode = Number(parseStatusCode(error) || 0)
+  const lowered = message.toLowerCase()
+  let classified = 'send_failed'
+  if (isSignalSessionError(error) || lowered.includes('decrypt-retry-loop-exhausted')) {
+    classified = 'session_error'
+  } else if (statusCode === 429 || lowered.includes('rate-overlimit')) {
+    classified = 'rate_limited'
+  } else if (statusCode === 428 || lowered.includes('connection closed') || lowered.includes('connection terminated')) {
+    classified = 'socket_not_ready'
+  } else if (statusCode === 408 || lowered.includes('timed out')) {
+    classified = 'send_timeout'
   }
 
-  async rememberPair(jidLid, jidPn) {
-    await this.load()
-
-    const lid = String(jidLid || '').trim()
-    const pn = String(jidPn || '').trim()
-    if (!lid || !pn || !lid.endsWith('@lid') || !pn.endsWith('@s.whatsapp.net')) {
-      return false
-    }
+  return { code: classified, retryable: OUTBOUND_RETRYABLE_ERROR_CODES.has(classified), message, beforeSend: false }
+}
 
-    const changed = this.data.lid_to_pn[lid] !== pn || this.data.pn_to_lid[pn] !== lid
-    this.data.lid_to_pn[lid] = pn
-    this.data.pn_to_lid[pn] = lid
+// Baileys names signal sessions after the protocol address: session-<user>.<device> for PN,
+// session-<user>_<domain>.<device> for LID. An empty user set matches every session.
+function isSessionKeyFor(key, users) {
+  if (!key.startsWith('session-')) {
+    return false
+  }
+  if (!users || users.size === 0) {
+    return true
+  }
+  return users.has(key.slice('session-'.length).split(/[._]/)[0])
+}
 
-    if (changed) {
-      await this.save()
-    }
+// instance ids are backend row UUIDs; anything else must never reach a filesystem path
+function isValidInstanceId(instanceId) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(instanceId || ''))
+}
 
-    return changed
+function signalSessionUser(jid) {
+  const [user, server] = String(jid || '').split('@')
+  if (!user || !server || server === 'g.us' || server === 'broadcast') {
+    return null
   }
+  return user.split(':')[0]
+}
 
-  async resolveCanonical(jid, fallbackPn = null) {
-    await this.load()
+// Auth stores share one interface: useAuthState() -> { state, saveCreds } for makeWASocket,
+// readJson/writeJson for small per-instance documents kept with the session, clear() and flush(),
+// plus exportEntries/importEntries for snapshots and removeSessions(users) for the soft recovery.
+class FileAuthStore {
+  constructor(instanceId) {
+    this.instanceId = instanceId
+    this.dirPath = path.join(AUTH_BASE, instanceId)
+  }
 
-    const normalizedJid = String(jid || '').trim()
-    const normalizedFallbackPn = String(fallbackPn || '').trim()
+  describe() {
+    return `fs:${this.dirPath}`
+  }
 
-    if (normalizedFallbackPn.endsWith('@s.whatsapp.net')) {
-      return normalizedFallbackPn
-    }
+  async useAuthState() {
+    return useMultiFileAuthState(this.dirPath)
+  }
 
-    if (!normalizedJid) {
-      return normalizedJid
+  async readJson(name) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dirPath, `${name}.json`), 'utf8'), BufferJSON.reviver)
+    } catch (error) {
+      if (error?.code === 'ENOENT') {
+        return null
+      }
+      throw error
     }
+  }
 
-    if (normalizedJid.endsWith('@s.whatsapp.net')) {
-      return normalizedJid
-    }
+  async writeJson(name, value) {
+    await writeFileAtomic(path.join(this.dirPath, `${name}.json`), JSON.stringify(value, BufferJSON.replacer))
+  }
 
-    if (normalizedJid.endsWith('@lid')) {
-      return this.data.lid_to_pn[normalizedJid] || normalizedJid
+  async listKeys() {
+    try {
+      const names = await fs.readdir(this.dirPath)
+      return names.filter((name) => name.endsWith('.json')).map((name) => name.slice(0, -'.json'.length))
+    } catch (error) {
+      if (error?.code === 'ENOENT') {
+        return []
+      }
+      throw error
     }
-
-    return normalizedJid
   }
-}
 
-class OutboundQueueRunner {
-  constructor(runtime, edgeClient) {
-    this.runtime = runtime
-    this.edgeClient = edgeClient
-    this.interval = null
-    this.processing = false
+  async exportEntries() {
+    const entries = []
+    for (const key of await this.listKeys()) {
+      entries.push([key, await fs.readFile(path.join(this.dirPath, `${key}.json`), 'utf8')])
+    }
+    return entries
   }
 
-  async resolveDestination(queued) {
-    const originalTo = String(queued?.to || '').trim()
-    if (originalTo.endsWith('@lid')) {
-      const resolved = await this.edgeClient.primaryJid(this.runtime.instanceId, originalTo)
-      const jidPn = String(resolved?.jid_pn || resolved?.jid || '').trim()
-      if (!jidPn) {
-        return {
-          originalTo,
-          toNormalized: null,
-          error: 'lid_without_mapping',
-        }
-      }
-      return {
-        originalTo,
-        toNormalized: jidPn,
-      }
+  async importEntries(entries) {
+    await this.clear()
+    await fs.mkdir(this.dirPath, { recursive: true })
+    for (const [key, value] of entries) {
+      await writeFileAtomic(path.join(this.dirPath, `${path.basename(key)}.json`), value)
     }
+  }
 
-    const normalized = normalizeOutboundTo(queued)
-    if (normalized?.error) {
-      return {
-        ...normalized,
-        error: `invalid-destination:${normalized.error}`,
-      }
-    }
+  async removeSessions(users) {
+    const doomed = (await this.listKeys()).filter((key) => isSessionKeyFor(key, users))
+    await Promise.all(doomed.map((key) => fs.rm(path.join(this.dirPath, `${key}.json`), { force: true })))
+    return doomed.length
+  }
 
-    return normalized
+  async clear() {
+    await fs.rm(this.dirPath, { recursive: true, force: true })
   }
 
-  async sendWithSessionRecovery(toNormalized, queued) {
-    let attempt = 0
+  async flush() {}
 
-    while (attempt <= DECRYPT_RETRY_MAX_ATTEMPTS) {
-      const targetJid = await this.runtime.connection.resolveCanonicalJid(toNormalized)
-      try {
-        return await this.sendOutboundMessage(targetJid, queued)
-      } catch (error) {
-        if (!isSignalSessionError(error)) {
-          throw error
-        }
+  async reset() {}
+}
 
-        const isNoMatchingSession = String(error?.message || error || '')
-          .toLowerCase()
-          .includes('no matching sessions found')
-        const canRetry = isNoMatchingSession && attempt < DECRYPT_RETRY_MAX_ATTEMPTS
+// Baileys auth state over a flat key -> serialized JSON map; subclasses provide listKeys/readMany/writeMany/clear
+class KeyValueAuthStore {
+  constructor(instanceId) {
+    this.instanceId = instanceId
+  }
 
-        if (!canRetry) {
-          console.warn(
-            `[fallback] reason=decrypt_retry_exhausted instance=${this.runtime.instanceId} jid=${targetJid} attempts=${attempt + 1}`,
-          )
-          throw error
-        }
+  async readJson(name) {
+    const raw = (await this.readMany([name])).get(name)
+    return raw ? JSON.parse(raw, BufferJSON.reviver) : null
+  }
 
-        const retryAttempt = attempt + 1
-        const backoffMs = SESSION_REFRESH_BACKOFF_MS[Math.min(attempt, SESSION_REFRESH_BACKOFF_MS.length - 1)]
-        console.warn(
-          `[fallback] reason=session_refresh_attempt instance=${this.runtime.instanceId} jid=${targetJid} attempt=${retryAttempt} backoffMs=${backoffMs}`,
-        )
-        await this.runtime.connection.refreshSessionForJid(targetJid)
-        await sleep(backoffMs)
-      }
+  async writeJson(name, value) {
+    await this.writeMany([[name, value === null || value === undefined ? null : JSON.stringify(value, BufferJSON.replacer)]])
+  }
 
-      attempt += 1
+  async useAuthState() {
+    const creds = (await this.readJson('creds')) || initAuthCreds()
+    return {
+      state: {
+        creds,
+        keys: {
+          get: async (type, ids) => {
+            const keys = ids.map((id) => `${type}-${id}`)
+            const raw = await this.readMany(keys)
+            const data = {}
+            ids.forEach((id, index) => {
+              const serialized = raw.get(keys[index])
+              let value = serialized ? JSON.parse(serialized, BufferJSON.reviver) : null
+              if (type === 'app-state-sync-key' && value) {
+                value = proto.Message.AppStateSyncKeyData.fromObject(value)
+              }
+              data[id] = value
+            })
+            return data
+          },
+          set: async (data) => {
+            const entries = []
+            for (const category in data) {
+              for (const id in data[category]) {
+                const value = data[category][id]
+                entries.push([`${category}-${id}`, value ? JSON.stringify(value, BufferJSON.replacer) : null])
+              }
+            }
+            await this.writeMany(entries)
+          },
+        },
+      },
+      saveCreds: () => this.writeJson('creds', creds),
     }
+  }
 
-    throw new Error('decrypt-retry-loop-exhausted')
+  async exportEntries() {
+    const keys = await this.listKeys()
+    const raw = await this.readMany(keys)
+    return keys.map((key) => [key, raw.get(key)]).filter(([, value]) => value !== null && value !== undefined)
   }
 
-  start() {
-    this.stop()
-    this.tick().catch((error) => {
-      console.error(`[queue:${this.runtime.instanceId}] tick failed: ${normalizeReason(error)}`)
-    })
-    this.interval = setInterval(() => {
-      this.tick().catch((error) => {
-        console.error(`[queue:${this.runtime.instanceId}] tick failed: ${normalizeReason(error)}`)
-      })
-    }, QUEUE_POLL_MS)
+  async importEntries(entries) {
+    await this.clear()
+    await this.writeMany(entries)
+    await this.flush()
   }
 
-  stop() {
-    if (this.interval) {
-      clearInterval(this.interval)
-      this.interval = null
+  async removeSessions(users) {
+    const doomed = (await this.listKeys()).filter((key) => isSessionKeyFor(key, users))
+    if (doomed.length > 0) {
+      await this.writeMany(doomed.map((key) => [key, null]))
+      await this.flush()
     }
+    return doomed.length
   }
 
-  async tick() {
-    if (this.processing || !this.runtime.isConnected() || !this.runtime.sock) {
-      return
-    }
+  async flush() {}
 
-    this.processing = true
-    try {
-      const payload = await this.edgeClient.get(
-        `/queued-messages?instanceId=${encodeURIComponent(this.runtime.instanceId)}`,
-      )
-      const messages = Array.isArray(payload) ? payload : payload?.messages
-      const count = Array.isArray(messages) ? messages.length : 0
+  // drops anything cached in memory; called when the instance lock is given up
+  async reset() {}
+}
 
-      if (count === 0) {
-        return
-      }
+let authDatabase = null
+
+function openAuthDatabase() {
+  if (!authDatabase) {
+    // optional dependency: only required when AUTH_STORE=sqlite
+    const Database = require('better-sqlite3')
+    mkdirSync(path.dirname(AUTH_SQLITE_PATH), { recursive: true })
+    authDatabase = new Database(AUTH_SQLITE_PATH)
+    authDatabase.pragma('journal_mode = WAL')
+    authDatabase.pragma('busy_timeout = 5000')
+    authDatabase.exec(`
+      CREATE TABLE IF NOT EXISTS auth_state (
+        instance_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (instance_id, key)
+      )
+    `)
+    console.log(`[auth-store] sqlite opened path=${AUTH_SQLITE_PATH}`)
+  }
+  return authDatabase
+}
 
-      console.log(`[queue] polled count=${count} instance=${this.runtime.instanceId}`)
+class SqliteAuthStore extends KeyValueAuthStore {
+  constructor(instanceId) {
+    super(instanceId)
+    this.statements = null
+  }
 
-      for (const queued of messages) {
-        if (!this.runtime.isConnected() || !this.runtime.sock) {
-          break
-        }
+  describe() {
+    return `sqlite:${AUTH_SQLITE_PATH}`
+  }
 
-        if (!queued?.id || !queued?.to || (!queued?.body && !queued?.media_url)) {
-          console.warn(`[queue:${this.runtime.instanceId}] malformed queued message id=${queued?.id || 'n/a'}`)
-          if (queued?.id) {
-            try {
-              await this.edgeClient.post('/mark-failed', {
-                messageId: queued.id,
-                error: 'malformed-message',
-                send_debug: { reason: 'missing required fields (to, body, or media_url)' },
-              })
-            } catch (markError) {
-              console.warn(`[queue:${this.runtime.instanceId}] mark-failed unavailable for ${queued.id}`)
+  prepared() {
+    if (!this.statements) {
+      const db = openAuthDatabase()
+      this.statements = {
+        select: db.prepare('SELECT value FROM auth_state WHERE instance_id = ? AND key = ?'),
+        keys: db.prepare('SELECT key FROM auth_state WHERE instance_id = ?'),
+        upsert: db.prepare(
+          'INSERT INTO auth_state (instance_id, key, value, updated_at) VALUES (?, ?, ?, ?) ' +
+            'ON CONFLICT (instance_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at',
+        ),
+        remove: db.prepare('DELETE FROM auth_state WHERE instance_id = ? AND key = ?'),
+        clear: db.prepare('DELETE FROM auth_state WHERE instance_id = ?'),
+        write: db.transaction((entries) => {
+          const now = Date.now()
+          for (const [key, value] of entries) {
+            if (value === null) {
+              this.statements.remove.run(this.instanceId, key)
+            } else {
+              this.statements.upsert.run(this.instanceId, key, value, now)
             }
           }
-          continue
-        }
-
-        const { originalTo, toNormalized, error: toError } = await this.resolveDestination(queued)
-
-        if (toError) {
-          const reason = toError
-          let markStatus = 'ok'
-          try {
-            await this.edgeClient.post('/mark-failed', {
-              messageId: queued.id,
-              error: reason,
-              send_debug: {
-                toOriginal: originalTo,
-                toNormalized,
-                reason,
-              },
-            })
-          } catch (error) {
-            markStatus = normalizeReason(error)
-            console.warn(`[queue:${this.runtime.instanceId}] mark-failed unavailable for ${queued.id}`)
-          }
-          console.log(`[mark-failed] ok status=${markStatus}`)
-          console.error(
-            `[queue:${this.runtime.instanceId}] send skipped for ${queued.id}: ${reason} toOriginal=${originalTo} toNormalized=${toNormalized}`,
-          )
-          continue
-        }
-
-        try {
-          const result = await this.sendWithSessionRecovery(toNormalized, queued)
-          await this.edgeClient.post('/mark-sent', {
-            messageId: queued.id,
-            wa_message_id: result?.key?.id || null,
-            send_debug: {
-              toOriginal: originalTo,
-              toNormalized,
-              result,
-            },
-          })
-          console.log(
-            `[send-success] messageId=${queued.id} toOriginal=${originalTo} toNormalized=${toNormalized} wa_message_id=${result?.key?.id || null}`,
-          )
-          console.log('[mark-sent] ok')
-        } catch (error) {
-          const reason = normalizeReason(error)
-          let markStatus = 'ok'
-          try {
-            await this.edgeClient.post('/mark-failed', {
-              messageId: queued.id,
-              error: reason,
-              send_debug: {
-                toOriginal: originalTo,
-                toNormalized,
-                error: error?.message || String(error),
-                stack: error?.stack || null,
-              },
-            })
-          } catch (markError) {
-            markStatus = normalizeReason(markError)
-            console.warn(`[queue:${this.runtime.instanceId}] mark-failed unavailable for ${queued.id}`)
-          }
-          console.error(
-            `[send-failed] messageId=${queued.id} toOriginal=${originalTo} toNormalized=${toNormalized} error=${reason}`,
-          )
-          console.log(`[mark-failed] ok status=${markStatus}`)
-          console.error(
-            `[queue:${this.runtime.instanceId}] send failed for ${queued.id}: ${reason} toOriginal=${originalTo} toNormalized=${toNormalized}`,
-          )
-        }
+        }),
       }
-    } finally {
-      this.processing = false
     }
+    return this.statements
   }
 
-  async fetchMediaBuffer(url) {
-    const controller = new AbortController()
-    const timeout = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS)
+  async listKeys() {
+    return this.prepared().keys.all(this.instanceId).map((row) => row.key)
+  }
 
-    try {
-      const response = await fetch(url, { signal: controller.signal })
-      if (!response.ok) {
-        throw new Error(`media-download-http-${response.status}`)
-      }
-      return Buffer.from(await response.arrayBuffer())
-    } finally {
-      clearTimeout(timeout)
-    }
+  async readMany(keys) {
+    const { select } = this.prepared()
+    return new Map(keys.map((key) => [key, select.get(this.instanceId, key)?.value ?? null]))
   }
 
-  async sendOutboundMessage(toNormalized, queued) {
-    if (!queued?.media_url) {
-      return this.runtime.sock.sendMessage(toNormalized, { text: queued.body || '' })
-    }
+  async writeMany(entries) {
+    this.prepared().write(entries)
+  }
 
-    const mediaType = queued.media_type || 'document'
-    const mediaBuffer = await this.fetchMediaBuffer(queued.media_url)
-    const caption = queued.body || ''
+  async clear() {
+    this.prepared().clear.run(this.instanceId)
+  }
+}
 
-    if (mediaType === 'image') {
-      return this.runtime.sock.sendMessage(toNormalized, { image: mediaBuffer, caption })
-    }
+let authStoreKeys = null
 
-    if (mediaType === 'video') {
-      return this.runtime.sock.sendMessage(toNormalized, { video: mediaBuffer, caption })
+function deriveAuthStoreKeys() {
+  if (!authStoreKeys) {
+    if (!AUTH_STORE_SECRET) {
+      throw new Error('AUTH_STORE_SECRET is required for AUTH_STORE=backend')
     }
+    const derive = (info) => Buffer.from(crypto.hkdfSync('sha256', AUTH_STORE_SECRET, 'wa-worker-auth-store', info, 32))
+    authStoreKeys = { enc: derive('enc'), mac: derive('mac') }
+  }
+  return authStoreKeys
+}
 
-    if (mediaType === 'audio') {
-      return this.runtime.sock.sendMessage(toNormalized, {
-        audio: mediaBuffer,
-        mimetype: queued.mime_type || 'audio/ogg',
-        ptt: false,
-      })
-    }
+// AES-256-GCM, laid out as iv(12) | tag(16) | ciphertext, bound to the instance through the AAD
+function encryptAuthValue(instanceId, plaintext) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveAuthStoreKeys().enc, iv)
+  cipher.setAAD(Buffer.from(instanceId))
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')
+}
 
-    return this.runtime.sock.sendMessage(toNormalized, {
-      document: mediaBuffer,
-      mimetype: queued.mime_type || 'application/octet-stream',
-      fileName: queued.file_name || `document-${queued.id}`,
-      caption,
-    })
-  }
+function decryptAuthValue(instanceId, encoded) {
+  const blob = Buffer.from(encoded, 'base64')
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveAuthStoreKeys().enc, blob.subarray(0, 12))
+  decipher.setAAD(Buffer.from(instanceId))
+  decipher.setAuthTag(blob.subarray(12, 28))
+  return Buffer.concat([decipher.update(blob.subarray(28)), decipher.final()]).toString('utf8')
 }
 
-class ConnectionRunner {
-  constructor(runtime, edgeClient) {
-    this.runtime = runtime
+// key names carry JIDs, so the proxy only ever sees an HMAC of them
+function authStorageKey(instanceId, key) {
+  return crypto.createHmac('sha256', deriveAuthStoreKeys().mac).update(`${instanceId}:${key}`).digest('hex')
+}
+
+class BackendAuthStore extends KeyValueAuthStore {
+  constructor(instanceId, edgeClient) {
+    super(instanceId)
     this.edgeClient = edgeClient
-    this.sock = null
-    this.connecting = false
-    this.connected = false
-    this.connectedAt = null
-    this.intentionalStop = false
-    this.reconnectAttempt = 0
-    this.reconnectTimeout = null
-    this.badMacTimestamps = []
-    this.badMacBreakerUntil = 0
-    this.badMacBreakerRunning = false
-    this.contactResolveCache = new Map()
-    this.identityAliasStore = new IdentityAliasStore(path.join(AUTH_BASE, runtime.instanceId, 'identity-alias-map.json'))
-    this.outbound = new OutboundQueueRunner(runtime, edgeClient)
+    this.loadPromise = null
+    this.values = new Map()
+    this.pending = new Map()
+    this.flushTimer = null
+    this.flushing = null
   }
 
-  isConnected() {
-    return this.connected
+  describe() {
+    return 'backend:/auth-state'
   }
 
-  isBusy() {
-    return this.connecting || this.connected
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        const payload = await this.edgeClient.getAuthState(this.instanceId)
+        const values = new Map()
+        for (const entry of payload?.entries || []) {
+          // a wrong AUTH_STORE_SECRET must not be mistaken for an empty session (and overwritten)
+          const { key, value } = JSON.parse(decryptAuthValue(this.instanceId, entry.v))
+          values.set(key, value)
+        }
+        this.values = values
+        console.log(`[auth-store] backend loaded instance=${this.instanceId} keys=${values.size}`)
+      })().catch((error) => {
+        this.loadPromise = null
+        throw error
+      })
+    }
+    return this.loadPromise
   }
 
-  get authPath() {
-    return path.join(AUTH_BASE, this.runtime.instanceId)
+  async listKeys() {
+    await this.load()
+    return [...this.values.keys()]
   }
 
-  clearReconnect() {
-    if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout)
-      this.reconnectTimeout = null
-    }
+  async readMany(keys) {
+    await this.load()
+    return new Map(keys.map((key) => [key, this.values.get(key) ?? null]))
   }
 
-  async resolveCanonicalJid(jid, senderPn = null) {
-    const canonicalJid = await this.identityAliasStore.resolveCanonical(jid, senderPn)
-    const originalJid = String(jid || '').trim()
+  async writeMany(entries) {
+    await this.load()
+    for (const [key, value] of entries) {
+      if (value === null) {
+        this.values.delete(key)
+      } else {
+        this.values.set(key, value)
+      }
+      this.pending.set(key, value)
+    }
+    this.scheduleFlush(AUTH_STORE_FLUSH_DELAY_MS)
+  }
+
+  scheduleFlush(delayMs) {
+    if (this.flushTimer) {
+      return
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null
+      this.flush().catch((error) => {
+        console.error(`[auth-store] backend flush failed instance=${this.instanceId} error=${normalizeReason(error)}`)
+        this.scheduleFlush(AUTH_STORE_FLUSH_RETRY_MS)
+      })
+    }, delayMs)
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer)
+      this.flushTimer = null
+    }
+    if (this.flushing) {
+      await this.flushing.catch(() => {})
+    }
+    if (this.pending.size === 0) {
+      return
+    }
+
+    const batch = [...this.pending]
+    this.pending.clear()
+    const upserts = []
+    const deletes = []
+    for (const [key, value] of batch) {
+      const storageKey = authStorageKey(this.instanceId, key)
+      if (value === null) {
+        deletes.push(storageKey)
+      } else {
+        upserts.push({ k: storageKey, v: encryptAuthValue(this.instanceId, JSON.stringify({ key, value })) })
+      }
+    }
+
+    this.flushing = this.edgeClient.postAuthState({ instanceId: this.instanceId, upserts, deletes })
+    try {
+      await this.flushing
+    } catch (error) {
+      // newer writes for the same key win over the failed batch
+      for (const [key, value] of batch) {
+        if (!this.pending.has(key)) {
+          this.pending.set(key, value)
+        }
+      }
+      throw error
+    } finally {
+      this.flushing = null
+    }
+  }
+
+  async clear() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer)
+      this.flushTimer = null
+    }
+    this.pending.clear()
+    this.values = new Map()
+    await this.edgeClient.clearAuthState(this.instanceId)
+  }
+  // another worker may own and rewrite the state once our lock is gone: push what we have (unless the
+  // lock is already someone else's, then our pending writes are stale), then reload next time
+  async reset({ flush = true } = {}) {
+    if (flush) {
+      await this.flush().catch((error) => {
+        console.error(`[auth-store] backend flush failed instance=${this.instanceId} error=${normalizeReason(error)}`)
+      })
+    } else if (this.flushTimer) {
+      clearTimeout(this.flushTimer)
+      this.flushTimer = null
+    }
+    if (this.pending.size > 0) {
+      console.warn(`[auth-store] backend pending writes dropped instance=${this.instanceId} keys=${this.pending.size}`)
+    }
+    this.pending.clear()
+    this.values = new Map()
+    this.loadPromise = null
+  }
+
+}
+
+// Archived copies of an instance's auth state, taken before every wipe. Sealed with AUTH_STORE_SECRET when one is set.
+class AuthSnapshotStore {
+  constructor(instanceId) {
+    this.instanceId = instanceId
+    this.dirPath = path.join(STATE_BASE, instanceId, 'auth-snapshots')
+  }
+
+  async list() {
+    try {
+      const names = await fs.readdir(this.dirPath)
+      return names.filter((name) => name.endsWith('.json')).sort()
+    } catch (error) {
+      if (error?.code === 'ENOENT') {
+        return []
+      }
+      throw error
+    }
+  }
+
+  async save(authStore, trigger) {
+    const entries = await authStore.exportEntries()
+    if (entries.length === 0) {
+      return null
+    }
+
+    const createdAt = new Date().toISOString()
+    const name = `${createdAt.replace(/[:.]/g, '-')}-${trigger}.json`
+    const snapshot = {
+      instance_id: this.instanceId,
+      store: AUTH_STORE,
+      trigger,
+      created_at: createdAt,
+      keys: entries.length,
+    }
+    if (AUTH_STORE_SECRET) {
+      snapshot.sealed = encryptAuthValue(this.instanceId, JSON.stringify(entries))
+    } else {
+      snapshot.entries = entries
+    }
+    await writeFileAtomic(path.join(this.dirPath, name), JSON.stringify(snapshot))
+    await this.prune()
+    return name
+  }
+
+  async prune() {
+    const names = await this.list()
+    const stale = names.slice(0, Math.max(0, names.length - AUTH_SNAPSHOT_KEEP))
+    await Promise.all(stale.map((name) => fs.rm(path.join(this.dirPath, name), { force: true })))
+  }
+
+  // newest snapshot unless a name from list() is given
+  async read(name = null) {
+    const names = await this.list()
+    const selected = name ? names.find((candidate) => candidate === name) : names[names.length - 1]
+    if (!selected) {
+      return null
+    }
+
+    const snapshot = JSON.parse(await fs.readFile(path.join(this.dirPath, selected), 'utf8'))
+    const entries = snapshot.sealed ? JSON.parse(decryptAuthValue(this.instanceId, snapshot.sealed)) : snapshot.entries
+    return { name: selected, store: snapshot.store, trigger: snapshot.trigger, entries: entries || [] }
+  }
+}
+
+function createAuthStore(instanceId, edgeClient) {
+  if (AUTH_STORE === 'backend') {
+    return new BackendAuthStore(instanceId, edgeClient)
+  }
+  if (AUTH_STORE === 'sqlite') {
+    return new SqliteAuthStore(instanceId)
+  }
+  return new FileAuthStore(instanceId)
+}
+
+class IdentityAliasStore {
+  constructor(authStore) {
+    this.authStore = authStore
+    this.loaded = false
+    this.data = { lid_to_pn: {}, pn_to_lid: {} }
+  }
+
+  async load() {
+    if (this.loaded) {
+      return
+    }
+
+    this.loaded = true
+    try {
+      const parsed = await this.authStore.readJson('identity-alias-map')
+      this.data = {
+        lid_to_pn: parsed?.lid_to_pn || {},
+        pn_to_lid: parsed?.pn_to_lid || {},
+      }
+    } catch (error) {
+      console.warn(`[identity-map] load failed store=${this.authStore.describe()} reason=${normalizeReason(error)}`)
+    }
+  }
+
+  async save() {
+    await this.authStore.writeJson('identity-alias-map', this.data)
+  }
+
+  async rememberPair(jidLid, jidPn) {
+    await this.load()
+
+    const lid = String(jidLid || '').trim()
+    const pn = String(jidPn || '').trim()
+    if (!lid || !pn || !lid.endsWith('@lid') || !pn.endsWith('@s.whatsapp.net')) {
+      return false
+    }
+
+    const changed = this.data.lid_to_pn[lid] !== pn || this.data.pn_to_lid[pn] !== lid
+    this.data.lid_to_pn[lid] = pn
+    this.data.pn_to_lid[pn] = lid
+
+    if (changed) {
+      await this.save()
+    }
+
+    return changed
+  }
+
+  async resolveCanonical(jid, fallbackPn = null) {
+    await this.load()
+
+    const normalizedJid = String(jid || '').trim()
+    const normalizedFallbackPn = String(fallbackPn || '').trim()
+
+    if (normalizedFallbackPn.endsWith('@s.whatsapp.net')) {
+      return normalizedFallbackPn
+    }
+
+    if (!normalizedJid) {
+      return normalizedJid
+    }
+
+    if (normalizedJid.endsWith('@s.whatsapp.net')) {
+      return normalizedJid
+    }
+
+    if (normalizedJid.endsWith('@lid')) {
+      return this.data.lid_to_pn[normalizedJid] || normalizedJid
+    }
+
+    return normalizedJid
+  }
+}
+
+class PollStore {
+  constructor(filePath) {
+    this.filePath = filePath
+    this.loaded = false
+    this.polls = {}
+    this.savePromise = Promise.resolve()
+  }
+
+  async load() {
+    if (this.loaded) {
+      return
+    }
+
+    this.loaded = true
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8')
+      this.polls = JSON.parse(raw)?.polls || {}
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.warn(`[poll-store] load failed path=${this.filePath} reason=${normalizeReason(error)}`)
+      }
+    }
+  }
+
+  save() {
+    const snapshot = JSON.stringify({ polls: this.polls })
+    this.savePromise = this.savePromise
+      .catch(() => {})
+      .then(() => writeFileAtomic(this.filePath, snapshot))
+    return this.savePromise
+  }
+
+  async rememberPoll(pollMsgId, { creatorJid, encKey, question, options, selectableCount }) {
+    await this.load()
+
+    if (!pollMsgId || !encKey || this.polls[pollMsgId]) {
+      return false
+    }
+
+    this.polls[pollMsgId] = {
+      creatorJid,
+      encKey: Buffer.from(encKey).toString('base64'),
+      question,
+      options: options.map((name) => ({ name, hash: pollOptionHash(name) })),
+      selectableCount,
+      votes: {},
+      createdAt: Date.now(),
+    }
+
+    const ids = Object.keys(this.polls)
+    if (ids.length > POLL_STORE_MAX_ENTRIES) {
+      ids
+        .sort((a, b) => this.polls[a].createdAt - this.polls[b].createdAt)
+        .slice(0, ids.length - POLL_STORE_MAX_ENTRIES)
+        .forEach((id) => delete this.polls[id])
+    }
+
+    await this.save()
+    return true
+  }
+
+  async getPoll(pollMsgId) {
+    await this.load()
+    return this.polls[pollMsgId] || null
+  }
+
+  async recordVote(pollMsgId, voterJid, selectedHashes) {
+    const poll = await this.getPoll(pollMsgId)
+    if (!poll) {
+      return null
+    }
+
+    poll.votes[voterJid] = selectedHashes
+    await this.save()
+
+    return poll.options.map((option) => {
+      const voters = Object.keys(poll.votes).filter((voter) => poll.votes[voter].includes(option.hash))
+      return { name: option.name, votes: voters.length, voters }
+    })
+  }
+}
+
+// load/debounced-save plumbing shared by the small JSON indexes each instance keeps on disk
+class JsonStateFile {
+  constructor(filePath, { tag, label = '', saveDelayMs = 0, snapshot, replacer }) {
+    this.filePath = filePath
+    this.tag = tag
+    this.label = label ? `${label} ` : ''
+    this.saveDelayMs = saveDelayMs
+    this.snapshot = snapshot
+    this.replacer = replacer
+    this.saveTimer = null
+  }
+
+  // resolves to null when the file is missing or unreadable
+  async read(reviver) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'), reviver)
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.warn(`[${this.tag}] ${this.label}load failed path=${this.filePath} reason=${normalizeReason(error)}`)
+      }
+      return null
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) {
+      return
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null
+      this.save().catch((error) => {
+        console.warn(`[${this.tag}] ${this.label}save failed path=${this.filePath} reason=${normalizeReason(error)}`)
+      })
+    }, this.saveDelayMs)
+  }
+
+  async flush() {
+    if (!this.saveTimer) {
+      return
+    }
+
+    clearTimeout(this.saveTimer)
+    this.saveTimer = null
+    await this.save()
+  }
+
+  async save() {
+    await writeFileAtomic(this.filePath, JSON.stringify(this.snapshot(), this.replacer))
+  }
+}
+
+class MediaStore {
+  constructor(instanceId, dirPath) {
+    this.instanceId = instanceId
+    this.dirPath = dirPath
+    this.loaded = false
+    this.entries = {}
+    this.stateFile = new JsonStateFile(path.join(dirPath, 'index.json'), {
+      tag: 'media-store',
+      label: 'index',
+      saveDelayMs: MEDIA_INDEX_SAVE_DELAY_MS,
+      snapshot: () => ({ entries: this.entries }),
+    })
+    this.sweepInterval = null
+    this.sweeping = false
+    this.dedupeHits = 0
+    // in-memory count of spool entries still waiting to upload each hash
+    this.inboundRefs = new Map()
+  }
+
+  async load() {
+    if (this.loaded) {
+      return
+    }
+
+    this.loaded = true
+    const parsed = await this.stateFile.read()
+    this.entries = parsed?.entries || {}
+  }
+
+  filePath(hash) {
+    return path.join(this.dirPath, this.entries[hash].file)
+  }
+
+  async putStream(stream, { mimeType, fileName, mediaType, maxBytes }) {
+    await this.load()
+    await fs.mkdir(this.dirPath, { recursive: true })
+
+    const tmpPath = path.join(this.dirPath, `.incoming-${process.pid}-${crypto.randomBytes(6).toString('hex')}`)
+    const hasher = crypto.createHash('sha256')
+    const handle = await fs.open(tmpPath, 'w')
+    let size = 0
+
+    try {
+      for await (const chunk of stream) {
+        size += chunk.length
+        if (maxBytes && size > maxBytes) {
+          stream.destroy?.()
+          const error = new Error(`media-too-large:${size}`)
+          error.code = 'MEDIA_TOO_LARGE'
+          error.size = size
+          throw error
+        }
+        hasher.update(chunk)
+        await handle.write(chunk)
+      }
+    } catch (error) {
+      await handle.close().catch(() => {})
+      await fs.rm(tmpPath, { force: true })
+      throw error
+    }
+    await handle.close()
+
+    const hash = hasher.digest('hex')
+    const now = Date.now()
+    const existing = this.entries[hash]
+
+    if (existing) {
+      const present = await fs.stat(this.filePath(hash)).then(() => true, () => false)
+      if (present) {
+        await fs.rm(tmpPath, { force: true })
+        existing.lastUsedAt = now
+        this.stateFile.scheduleSave()
+        return { hash, size, existing: true }
+      }
+    }
+
+    const file = `${hash}.${inferExtension({ mimeType, fileName, mediaType })}`
+    await fs.rename(tmpPath, path.join(this.dirPath, file))
+    this.entries[hash] = {
+      file,
+      size,
+      mimeType: mimeType || null,
+      mediaUrl: existing?.mediaUrl || null,
+      uploadedAt: existing?.uploadedAt || null,
+      createdAt: now,
+      lastUsedAt: now,
+    }
+    this.stateFile.scheduleSave()
+    return { hash, size, existing: false }
+  }
+
+  async describe(hash) {
+    await this.load()
+    if (!this.entries[hash]) {
+      throw new Error(`media-store-miss:${hash}`)
+    }
+    return { filePath: this.filePath(hash), size: this.entries[hash].size }
+  }
+
+  // backend URLs are only reused for MEDIA_URL_REUSE_MS in case the proxy expires them
+  uploadedUrl(hash) {
+    const entry = this.entries[hash]
+    if (!entry?.mediaUrl || Date.now() - (entry.uploadedAt || 0) > MEDIA_URL_REUSE_MS) {
+      return null
+    }
+    this.dedupeHits += 1
+    return entry.mediaUrl
+  }
+
+  retainInbound(hash) {
+    this.inboundRefs.set(hash, (this.inboundRefs.get(hash) || 0) + 1)
+  }
+
+  // discard drops a never-uploaded file right away instead of waiting for it to expire
+  async releaseInbound(hash, { discard = false } = {}) {
+    const refs = (this.inboundRefs.get(hash) || 0) - 1
+    if (refs > 0) {
+      this.inboundRefs.set(hash, refs)
+      return
+    }
+    this.inboundRefs.delete(hash)
+
+    const entry = this.entries[hash]
+    if (discard && entry && !entry.mediaUrl && !entry.outbound) {
+      await this.removeHash(hash)
+      this.stateFile.scheduleSave()
+    }
+  }
+
+  async removeHash(hash) {
+    await fs.rm(this.filePath(hash), { force: true })
+    delete this.entries[hash]
+  }
+
+  // outbound use is a flag, not a reference: the file stays a download cache the sweeper
+  // may drop, but only once no inbound upload holds the hash (see retainInbound)
+  markOutbound(hash) {
+    const entry = this.entries[hash]
+    if (!entry) {
+      return
+    }
+
+    entry.outbound = true
+    entry.lastUsedAt = Date.now()
+    this.stateFile.scheduleSave()
+  }
+
+  rememberUpload(hash, mediaUrl) {
+    const entry = this.entries[hash]
+    if (!entry || !mediaUrl) {
+      return
+    }
+
+    entry.mediaUrl = mediaUrl
+    entry.uploadedAt = Date.now()
+    entry.lastUsedAt = entry.uploadedAt
+    this.stateFile.scheduleSave()
+  }
+
+  stats() {
+    const entries = Object.values(this.entries)
+    return {
+      files: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+      pending_upload: this.inboundRefs.size,
+      outbound_cached: entries.filter((entry) => entry.outbound).length,
+      dedupe_hits: this.dedupeHits,
+    }
+  }
+
+  start() {
+    this.stop()
+    this.sweepInterval = setInterval(() => {
+      this.sweep().catch((error) => {
+        console.error(`[media-store] sweep failed instance=${this.instanceId} error=${normalizeReason(error)}`)
+      })
+    }, MEDIA_SWEEP_INTERVAL_MS)
+  }
+
+  stop() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval)
+      this.sweepInterval = null
+    }
+  }
+
+  async sweep() {
+    if (this.sweeping) {
+      return
+    }
+
+    this.sweeping = true
+    try {
+      await this.load()
+      const now = Date.now()
+      // files a spool entry still has to upload are never swept; files nobody uploaded
+      // nor references (e.g. a crash before spooling) only go once they expire
+      const candidates = Object.keys(this.entries)
+        .filter((hash) => !this.inboundRefs.has(hash))
+        .sort((a, b) => this.entries[a].lastUsedAt - this.entries[b].lastUsedAt)
+      let totalBytes = this.stats().bytes
+      let removed = 0
+
+      for (const hash of candidates) {
+        const entry = this.entries[hash]
+        const expired = now - entry.lastUsedAt > MEDIA_RETENTION_MS
+        const orphan = !entry.mediaUrl && !entry.outbound
+        if (!expired && (orphan || totalBytes <= MEDIA_MAX_BYTES_PER_INSTANCE)) {
+          continue
+        }
+
+        await this.removeHash(hash)
+        totalBytes -= entry.size || 0
+        removed += 1
+      }
+
+      if (removed > 0) {
+        this.stateFile.scheduleSave()
+        console.log(
+          `[media-store] sweep instance=${this.instanceId} removed=${removed} bytes=${totalBytes} maxBytes=${MEDIA_MAX_BYTES_PER_INSTANCE}`,
+        )
+      }
+    } finally {
+      this.sweeping = false
+    }
+  }
+
+  flush() {
+    return this.stateFile.flush()
+  }
+}
+
+class InboundSpool {
+  constructor(instanceId, edgeClient, mediaStore, dirPath) {
+    this.instanceId = instanceId
+    this.edgeClient = edgeClient
+    this.mediaStore = mediaStore
+    this.dirPath = dirPath
+    this.entries = []
+    this.mediaHashes = new Map()
+    this.loadPromise = null
+    this.sequence = 0
+    this.retryAttempt = 0
+    this.timer = null
+    this.draining = false
+    this.stopped = true
+  }
+
+  get depth() {
+    return this.entries.length
+  }
+
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const files = await fs.readdir(this.dirPath)
+          this.entries = files
+            .filter((file) => file.endsWith('.json'))
+            .map((file) => file.slice(0, -'.json'.length))
+            .sort()
+          for (const id of this.entries) {
+            const entry = await this.readEntry(id)
+            if (entry?.media?.hash) {
+              this.retainMedia(id, entry.media.hash)
+            }
+          }
+        } catch (error) {
+          if (error?.code !== 'ENOENT') {
+            this.loadPromise = null
+            throw error
+          }
+        }
+      })()
+    }
+    return this.loadPromise
+  }
+
+  entryPath(id, extension) {
+    return path.join(this.dirPath, `${id}.${extension}`)
+  }
+
+  nextEntryId() {
+    this.sequence = (this.sequence + 1) % 1_000_000
+    return `${String(Date.now()).padStart(15, '0')}-${String(this.sequence).padStart(6, '0')}`
+  }
+
+  async enqueue({ kind, payload, media = null }) {
+    await this.load()
+
+    const id = this.nextEntryId()
+
+    const entry = {
+      id,
+      kind,
+      payload,
+      media: media
+        ? {
+            hash: media.hash || null,
+            messageId: media.messageId,
+            mime_type: media.mime_type,
+            file_name: media.file_name,
+          }
+        : null,
+      attempts: 0,
+      createdAt: Date.now(),
+    }
+    await writeFileAtomic(this.entryPath(id, 'json'), JSON.stringify(entry))
+    this.entries.push(id)
+    if (entry.media?.hash) {
+      this.retainMedia(id, entry.media.hash)
+    }
+
+    console.warn(
+      `[inbound-spool] enqueued instance=${this.instanceId} kind=${kind} wa_message_id=${payload?.wa_message_id || 'n/a'} depth=${this.depth}`,
+    )
+
+    while (this.entries.length > INBOUND_SPOOL_MAX_ENTRIES) {
+      const droppedId = this.entries.shift()
+      await this.removeEntry(droppedId, { discardMedia: true })
+      console.error(
+        `[inbound-spool] dropped oldest entry instance=${this.instanceId} id=${droppedId} max=${INBOUND_SPOOL_MAX_ENTRIES}`,
+      )
+    }
+
+    this.scheduleDrain(0)
+  }
+
+  start() {
+    this.stopped = false
+    this.load()
+      .then(() => {
+        if (this.depth > 0) {
+          console.log(`[inbound-spool] replay pending instance=${this.instanceId} depth=${this.depth}`)
+          this.scheduleDrain(0)
+        }
+      })
+      .catch((error) => {
+        console.error(`[inbound-spool] load failed instance=${this.instanceId} error=${normalizeReason(error)}`)
+      })
+  }
+
+  stop() {
+    this.stopped = true
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+  }
+
+  scheduleDrain(delayMs) {
+    if (this.stopped || this.timer) {
+      return
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.drain().catch((error) => {
+        console.error(`[inbound-spool] drain crash instance=${this.instanceId} error=${normalizeReason(error)}`)
+      })
+    }, delayMs)
+  }
+
+  async readEntry(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.entryPath(id, 'json'), 'utf8'))
+    } catch (error) {
+      console.error(`[inbound-spool] unreadable entry instance=${this.instanceId} id=${id} error=${normalizeReason(error)}`)
+      return null
+    }
+  }
+
+  retainMedia(id, hash) {
+    this.mediaHashes.set(id, hash)
+    this.mediaStore.retainInbound(hash)
+  }
+
+  async removeEntry(id, { discardMedia = false } = {}) {
+    await fs.rm(this.entryPath(id, 'json'), { force: true })
+
+    const hash = this.mediaHashes.get(id)
+    if (hash) {
+      this.mediaHashes.delete(id)
+      await this.mediaStore.releaseInbound(hash, { discard: discardMedia })
+    }
+  }
+
+  async moveToDeadLetter(id, entry) {
+    const deadLetterDir = path.join(this.dirPath, 'dead-letter')
+    try {
+      await fs.mkdir(deadLetterDir, { recursive: true })
+      await writeFileAtomic(path.join(deadLetterDir, `${id}.json`), JSON.stringify(entry))
+    } catch (error) {
+      console.error(
+        `[inbound-spool] dead-letter write failed instance=${this.instanceId} id=${id} error=${normalizeReason(error)}`,
+      )
+    }
+    await this.removeEntry(id)
+  }
+
+  async deliver(entry) {
+    if (entry.media && !entry.payload.media_url) {
+      const metadata = {
+        instanceId: this.instanceId,
+        messageId: entry.media.messageId,
+        mime_type: entry.media.mime_type,
+        file_name: entry.media.file_name,
+      }
+      let uploaded = null
+      try {
+        uploaded = await uploadStoredMedia(this.edgeClient, this.mediaStore, entry.media.hash, metadata)
+      } catch (error) {
+        if (!isMissingSpoolMedia(error)) {
+          throw error
+        }
+        // the bytes are gone for good, so retrying would only block every later message
+        console.error(
+          `[inbound-spool] media dropped instance=${this.instanceId} id=${entry.id || 'n/a'} wa_message_id=${entry.payload?.wa_message_id || 'n/a'} error=${normalizeReason(error)}`,
+        )
+        entry.payload.media_url = null
+        entry.payload.media_omitted_reason = 'media_unavailable'
+        entry.media = null
+      }
+      if (entry.media) {
+        if (!uploaded?.media_url) {
+          throw new Error('upload-media-missing-url')
+        }
+        entry.payload.media_url = uploaded.media_url
+        this.mediaStore.rememberUpload(entry.media.hash, uploaded.media_url)
+      }
+      if (entry.id) {
+        await writeFileAtomic(this.entryPath(entry.id, 'json'), JSON.stringify(entry))
+      }
+    }
+
+    if (entry.kind === 'event') {
+      return this.edgeClient.postInboundEvent(entry.payload)
+    }
+    return this.edgeClient.postInbound(entry.payload)
+  }
+
+  async drain() {
+    if (this.draining) {
+      return
+    }
+
+    this.draining = true
+    try {
+      while (!this.stopped && this.entries.length > 0) {
+        const id = this.entries[0]
+        const entry = await this.readEntry(id)
+
+        if (entry) {
+          try {
+            await this.deliver(entry)
+          } catch (error) {
+            entry.attempts += 1
+            entry.lastError = normalizeReason(error)
+
+            if (entry.attempts >= INBOUND_SPOOL_MAX_ATTEMPTS) {
+              await this.moveToDeadLetter(id, entry)
+              if (this.entries[0] === id) {
+                this.entries.shift()
+              }
+              this.retryAttempt = 0
+              console.error(
+                `[inbound-spool] dead-letter instance=${this.instanceId} id=${id} kind=${entry.kind} wa_message_id=${entry.payload?.wa_message_id || 'n/a'} attempts=${entry.attempts} depth=${this.depth} error=${entry.lastError}`,
+              )
+              continue
+            }
+
+            await writeFileAtomic(this.entryPath(id, 'json'), JSON.stringify(entry)).catch(() => {})
+
+            const delay = INBOUND_SPOOL_RETRY_DELAYS_MS[
+              Math.min(this.retryAttempt, INBOUND_SPOOL_RETRY_DELAYS_MS.length - 1)
+            ]
+            this.retryAttempt += 1
+            console.warn(
+              `[inbound-spool] replay failed instance=${this.instanceId} id=${id} attempts=${entry.attempts} depth=${this.depth} retryInMs=${delay} error=${entry.lastError}`,
+            )
+            this.scheduleDrain(delay)
+            return
+          }
+        }
+
+        await this.removeEntry(id)
+        if (this.entries[0] === id) {
+          this.entries.shift()
+        }
+        this.retryAttempt = 0
+
+        if (entry) {
+          console.log(
+            `[inbound-spool] replayed instance=${this.instanceId} kind=${entry.kind} wa_message_id=${entry.payload?.wa_message_id || 'n/a'} depth=${this.depth}`,
+          )
+        }
+      }
+    } finally {
+      this.draining = false
+    }
+  }
+}
+
+class InboundDedupeIndex {
+  // chatId should be the canonical chat JID so LID and PN redeliveries share one key
+  static keyFor(messageKey, chatId = messageKey?.remoteJid) {
+    chatId = String(chatId || '').trim()
+    const messageId = String(messageKey?.id || '').trim()
+    return chatId && messageId ? `${chatId}:${messageId}` : null
+  }
+
+  constructor(filePath) {
+    this.loaded = false
+    this.keys = new Set()
+    this.inFlight = new Set()
+    this.stateFile = new JsonStateFile(filePath, {
+      tag: 'inbound-dedupe',
+      saveDelayMs: INBOUND_DEDUPE_SAVE_DELAY_MS,
+      snapshot: () => ({ keys: [...this.keys] }),
+    })
+    this.hits = 0
+    this.hitsByType = {}
+    this.misses = 0
+  }
+
+  async load() {
+    if (this.loaded) {
+      return
+    }
+
+    this.loaded = true
+    const parsed = await this.stateFile.read()
+    this.keys = new Set(Array.isArray(parsed?.keys) ? parsed.keys : [])
+  }
+
+  async claim(key) {
+    await this.load()
+
+    if (this.keys.has(key) || this.inFlight.has(key)) {
+      return false
+    }
+
+    this.inFlight.add(key)
+    this.misses += 1
+    return true
+  }
+
+  settle(key, accepted) {
+    this.inFlight.delete(key)
+    if (!accepted) {
+      return
+    }
+
+    this.keys.add(key)
+    // Set keeps insertion order, so the first keys are the oldest
+    while (this.keys.size > INBOUND_DEDUPE_MAX_ENTRIES) {
+      this.keys.delete(this.keys.values().next().value)
+    }
+    this.stateFile.scheduleSave()
+  }
+
+  recordHit(upsertType) {
+    const type = upsertType || 'unknown'
+    this.hits += 1
+    this.hitsByType[type] = (this.hitsByType[type] || 0) + 1
+  }
+
+  stats() {
+    return {
+      hits: this.hits,
+      hits_by_type: { ...this.hitsByType },
+      misses: this.misses,
+      size: this.keys.size,
+    }
+  }
+
+  flush() {
+    return this.stateFile.flush()
+  }
+}
+
+class HistoryImporter {
+  constructor(connection, edgeClient, filePath) {
+    this.connection = connection
+    this.edgeClient = edgeClient
+    this.loaded = false
+    this.progress = { chats: {} }
+    this.stateFile = new JsonStateFile(filePath, { tag: 'history', label: 'progress', snapshot: () => this.progress })
+    this.queue = Promise.resolve()
+    this.stopped = false
+  }
+
+  get instanceId() {
+    return this.connection.runtime.instanceId
+  }
+
+  async load() {
+    if (this.loaded) {
+      return
+    }
+
+    this.loaded = true
+    const parsed = await this.stateFile.read()
+    this.progress = { chats: parsed?.chats || {} }
+  }
+
+  enqueue(historySet) {
+    if (!HISTORY_IMPORT_ENABLED || !historySet?.messages?.length) {
+      return
+    }
+
+    this.queue = this.queue
+      .then(() => this.importSet(historySet))
+      .catch((error) => {
+        console.error(`[history] import failed instance=${this.instanceId} error=${normalizeReason(error)}`)
+      })
+  }
+
+  stop() {
+    this.stopped = true
+  }
+
+  selectMessages(messages) {
+    const cutoff = Math.floor(Date.now() / 1000) - HISTORY_IMPORT_MAX_DAYS * 24 * 60 * 60
+    const byChat = new Map()
+
+    for (const msg of messages) {
+      const chatId = msg?.key?.remoteJid
+      if (!chatId || !msg.key.id || chatId === 'status@broadcast') continue
+      if ((resolveMessageTimestamp(msg) || 0) < cutoff) continue
+      if (extractInboundEvent(msg)) continue
+
+      if (!byChat.has(chatId)) {
+        byChat.set(chatId, [])
+      }
+      byChat.get(chatId).push(msg)
+    }
+
+    const selected = []
+    for (const [chatId, chatMessages] of byChat) {
+      const importedIds = this.progress.chats[chatId]?.ids || []
+      const budget = HISTORY_IMPORT_MAX_MESSAGES_PER_CHAT - importedIds.length
+      if (budget <= 0) continue
+
+      const fresh = chatMessages
+        .filter((msg) => !importedIds.includes(msg.key.id))
+        .sort((a, b) => (resolveMessageTimestamp(b) || 0) - (resolveMessageTimestamp(a) || 0))
+        .slice(0, budget)
+      selected.push(...fresh)
+    }
+
+    return selected.sort((a, b) => (resolveMessageTimestamp(a) || 0) - (resolveMessageTimestamp(b) || 0))
+  }
+
+  async importSet({ messages, syncType, progress }) {
+    await this.load()
+
+    const selected = this.selectMessages(messages)
+    console.log(
+      `[history] batch received instance=${this.instanceId} syncType=${syncType ?? 'n/a'} progress=${progress ?? 'n/a'} messages=${messages.length} selected=${selected.length}`,
+    )
+
+    for (let offset = 0; offset < selected.length && !this.stopped; offset += HISTORY_IMPORT_BATCH_SIZE) {
+      const chunk = selected.slice(offset, offset + HISTORY_IMPORT_BATCH_SIZE)
+      const payloads = []
+      const imported = []
+
+      for (const msg of chunk) {
+        const parties = await this.connection.resolveInboundParties(msg)
+        const built = parties
+          ? await this.connection.buildInboundPayload(msg, parties, msg.pushName || null)
+          : null
+        if (!built) continue
+        if (built.pendingMedia) {
+          // history is not spooled: keep the message and flag the missing file instead of losing both
+          await this.connection.mediaStore.releaseInbound(built.pendingMedia.hash)
+          built.payload.media_omitted_reason = 'upload_failed'
+        }
+
+        payloads.push({ ...built.payload, is_history: true })
+        imported.push(msg.key)
+      }
+
+      if (payloads.length > 0) {
+        const delivered = await this.postWithRetry(payloads)
+        if (!delivered) {
+          console.error(
+            `[history] import aborted instance=${this.instanceId} remaining=${selected.length - offset}`,
+          )
+          return
+        }
+        await this.recordImported(imported)
+      }
+
+      await sleep(HISTORY_IMPORT_BATCH_DELAY_MS)
+    }
+  }
+
+  async postWithRetry(payloads) {
+    for (let attempt = 0; attempt <= HISTORY_IMPORT_RETRY_DELAYS_MS.length; attempt++) {
+      if (attempt > 0) await sleep(HISTORY_IMPORT_RETRY_DELAYS_MS[attempt - 1])
+      if (this.stopped) return false
+
+      try {
+        await this.edgeClient.postInboundHistory({ instanceId: this.instanceId, messages: payloads })
+        console.log(`[history] batch ok instance=${this.instanceId} count=${payloads.length}`)
+        return true
+      } catch (error) {
+        console.warn(
+          `[history] batch attempt=${attempt + 1} failed instance=${this.instanceId} count=${payloads.length}: ${normalizeReason(error)}`,
+        )
+      }
+    }
+
+    return false
+  }
+
+  async recordImported(keys) {
+    for (const key of keys) {
+      const chat = this.progress.chats[key.remoteJid] || { ids: [] }
+      chat.ids.push(key.id)
+      chat.updatedAt = Date.now()
+      this.progress.chats[key.remoteJid] = chat
+
+      const dedupeKey = InboundDedupeIndex.keyFor(key, await this.connection.canonicalChatJid({ key }))
+      if (dedupeKey) {
+        this.connection.inboundDedupe.settle(dedupeKey, true)
+      }
+    }
+
+    try {
+      await this.stateFile.save()
+    } catch (error) {
+      console.warn(`[history] progress save failed instance=${this.instanceId} reason=${normalizeReason(error)}`)
+    }
+  }
+}
+
+class MessageStore {
+  constructor(filePath) {
+    this.loaded = false
+    // own messages back edit/delete/react/quote; received ones keep the last few per chat for quote/react,
+    // so one busy chat cannot push every other chat's recent messages out
+    this.outbound = new Map()
+    this.inboundChats = new Map()
+    this.stateFile = new JsonStateFile(filePath, {
+      tag: 'message-store',
+      saveDelayMs: MESSAGE_STORE_SAVE_DELAY_MS,
+      snapshot: () => ({
+        outbound: [...this.outbound],
+        inboundChats: [...this.inboundChats].map(([chat, messages]) => [chat, [...messages]]),
+      }),
+      replacer: BufferJSON.replacer,
+    })
+  }
+
+  async load() {
+    if (this.loaded) {
+      return
+    }
+
+    this.loaded = true
+    const parsed = await this.stateFile.read(BufferJSON.reviver)
+    this.outbound = new Map(parsed?.outbound || [])
+    this.inboundChats = new Map((parsed?.inboundChats || []).map(([chat, messages]) => [chat, new Map(messages)]))
+  }
+
+  async remember(message) {
+    const id = message?.key?.id
+    const { messageNode } = unwrapMessageContent(message?.message)
+    const contentType = Object.keys(messageNode).find(
+      (type) => !MESSAGE_STORE_SKIPPED_TYPES.includes(type) && messageNode[type],
+    )
+    if (!id || !message.key.remoteJid || !contentType) {
+      return
+    }
+
+    await this.load()
+
+    // only what Baileys needs to quote/react/edit: the key and the bare content
+    const content = messageNode[contentType]
+    const stored = {
+      key: {
+        remoteJid: message.key.remoteJid,
+        fromMe: !!message.key.fromMe,
+        id,
+        participant: message.key.participant || undefined,
+      },
+      message: {
+        [contentType]:
+          content && typeof content === 'object'
+            ? { ...content, contextInfo: undefined, jpegThumbnail: undefined }
+            : content,
+      },
+    }
+
+    this.put(id, stored)
+    this.stateFile.scheduleSave()
+  }
+
+  put(id, stored) {
+    if (stored.key.fromMe) {
+      this.outbound.delete(id)
+      this.outbound.set(id, stored)
+      while (this.outbound.size > MESSAGE_STORE_MAX_ENTRIES) {
+        this.outbound.delete(this.outbound.keys().next().value)
+      }
+      return
+    }
+
+    // Map order doubles as recency: the chat and the message move to the end on every write
+    const chat = stored.key.remoteJid
+    const messages = this.inboundChats.get(chat) || new Map()
+    this.inboundChats.delete(chat)
+    this.inboundChats.set(chat, messages)
+    messages.delete(id)
+    messages.set(id, stored)
+    while (messages.size > MESSAGE_STORE_INBOUND_PER_CHAT) {
+      messages.delete(messages.keys().next().value)
+    }
+    while (this.inboundChats.size > MESSAGE_STORE_INBOUND_MAX_CHATS) {
+      this.inboundChats.delete(this.inboundChats.keys().next().value)
+    }
+  }
+
+  async get(waMessageId) {
+    await this.load()
+    if (this.outbound.has(waMessageId)) {
+      return this.outbound.get(waMessageId)
+    }
+    for (const messages of this.inboundChats.values()) {
+      if (messages.has(waMessageId)) {
+        return messages.get(waMessageId)
+      }
+    }
+    return null
+  }
+
+  flush() {
+    return this.stateFile.flush()
+  }
+}
+
+class TokenBucket {
+  constructor(perMinute) {
+    this.capacity = Math.max(1, Math.ceil(perMinute / 10))
+    this.refillPerMs = perMinute / 60_000
+    this.tokens = this.capacity
+    this.updatedAt = Date.now()
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs)
+    this.updatedAt = now
+  }
+
+  // reserves one token and returns how long the caller must wait before using it
+  reserve() {
+    const now = Date.now()
+    this.refill(now)
+    this.tokens -= 1
+    return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.refillPerMs)
+  }
+
+  // a full bucket behaves exactly like a fresh one, so it can be dropped
+  isFull() {
+    this.refill(Date.now())
+    return this.tokens >= this.capacity
+  }
+}
+
+class SendPacer {
+  constructor(instanceId) {
+    this.instanceId = instanceId
+    this.config = { ...SEND_PACING_DEFAULTS }
+    this.configKey = JSON.stringify(this.config)
+    this.resetBuckets()
+  }
+
+  resetBuckets() {
+    this.instanceBucket = this.config.messages_per_minute > 0 ? new TokenBucket(this.config.messages_per_minute) : null
+    this.recipientBuckets = new Map()
+    this.nextSlotAt = 0
+  }
+
+  configure(overrides) {
+    const config = { ...SEND_PACING_DEFAULTS }
+    for (const [field, fallback] of Object.entries(SEND_PACING_DEFAULTS)) {
+      if (overrides?.[field] === undefined || overrides?.[field] === null) continue
+      config[field] = typeof fallback === 'boolean'
+        ? !['', '0', 'false', 'no'].includes(String(overrides[field]).trim().toLowerCase())
+        : Math.max(0, numberOrFallback(overrides[field], fallback))
+    }
+
+    const configKey = JSON.stringify(config)
+    if (configKey === this.configKey) {
+      return
+    }
+
+    this.config = config
+    this.configKey = configKey
+    this.resetBuckets()
+    console.log(`[pacing] config updated instance=${this.instanceId} config=${configKey}`)
+  }
+
+  recipientBucket(jid) {
+    if (this.config.per_recipient_per_minute <= 0) {
+      return null
+    }
+
+    if (this.recipientBuckets.size > SEND_PACING_MAX_TRACKED_RECIPIENTS) {
+      for (const [key, bucket] of this.recipientBuckets) {
+        if (bucket.isFull()) {
+          this.recipientBuckets.delete(key)
+        }
+      }
+    }
+
+    if (!this.recipientBuckets.has(jid)) {
+      this.recipientBuckets.set(jid, new TokenBucket(this.config.per_recipient_per_minute))
+    }
+    return this.recipientBuckets.get(jid)
+  }
+
+  async waitTurn(jid) {
+    const { min_delay_ms: minDelay, max_delay_ms: maxDelay } = this.config
+    const now = Date.now()
+    const gapMs = maxDelay > 0 ? randomBetween(Math.min(minDelay, maxDelay), maxDelay) : 0
+    const slotAt = Math.max(now, this.nextSlotAt)
+    this.nextSlotAt = slotAt + gapMs
+
+    const waitMs = Math.max(
+      slotAt - now,
+      this.instanceBucket ? this.instanceBucket.reserve() : 0,
+      this.recipientBucket(jid)?.reserve() || 0,
+    )
+
+    if (waitMs > 0) {
+      if (waitMs >= 5_000) {
+        console.log(`[pacing] throttled instance=${this.instanceId} jid=${jid} waitMs=${waitMs}`)
+      }
+      await sleep(waitMs)
+    }
+  }
+
+  typingDurationMs(queued) {
+    const textLength = String(queued?.body || queued?.poll?.question || '').length
+    const { typing_ms_per_char: perChar, typing_min_ms: minMs, typing_max_ms: maxMs } = this.config
+    return Math.min(maxMs, Math.max(minMs, textLength * perChar))
+  }
+
+  async simulatePresence(sock, jid, queued) {
+    if (!this.config.typing || queued?.action || !sock) {
+      return
+    }
+
+    const presence = queued?.media_type === 'audio' ? 'recording' : 'composing'
+    try {
+      await sock.sendPresenceUpdate(presence, jid)
+      await sleep(this.typingDurationMs(queued))
+      await sock.sendPresenceUpdate('paused', jid)
+    } catch (error) {
+      console.warn(`[pacing] presence update failed instance=${this.instanceId} jid=${jid} error=${normalizeReason(error)}`)
+    }
+  }
+}
+
+class NumberLookup {
+  constructor(connection) {
+    this.connection = connection
+    this.cache = new Map()
+  }
+
+  get instanceId() {
+    return this.connection.runtime.instanceId
+  }
+
+  cached(digits) {
+    const entry = this.cache.get(digits)
+    if (!entry) {
+      return null
+    }
+    const ttlMs = entry.exists ? NUMBER_CHECK_TTL_MS : NUMBER_CHECK_NEGATIVE_TTL_MS
+    if (Date.now() - entry.checkedAt > ttlMs) {
+      this.cache.delete(digits)
+      return null
+    }
+    return entry
+  }
+
+  remember(digits, entry) {
+    this.cache.delete(digits)
+    this.cache.set(digits, entry)
+    while (this.cache.size > NUMBER_CHECK_CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value)
+    }
+  }
+
+  // resolves each input to { input, digits, exists, jid }; jid is the one WhatsApp knows the number by
+  async check(inputs) {
+    const results = inputs.map((input) => {
+      const raw = String(input ?? '').trim()
+      const digits = normalizeDigits(raw.split('@')[0].split(':')[0])
+      return { input: raw, digits, exists: false, jid: null, cached: false }
+    })
+
+    const missing = []
+    for (const result of results) {
+      if (result.digits.length < 8 || result.digits.length > 15) {
+        result.error = 'invalid_number'
+        continue
+      }
+      const entry = this.cached(result.digits)
+      if (entry) {
+        Object.assign(result, { exists: entry.exists, jid: entry.jid, cached: true })
+      } else if (!missing.includes(result.digits)) {
+        missing.push(result.digits)
+      }
+    }
+
+    for (let index = 0; index < missing.length; index += NUMBER_CHECK_BATCH_SIZE) {
+      const batch = missing.slice(index, index + NUMBER_CHECK_BATCH_SIZE)
+      const sock = this.connection.sock
+      if (!sock || !this.connection.isConnected()) {
+        throw outboundError('socket_not_ready')
+      }
+
+      const found = (await sock.onWhatsApp(...batch)) || []
+      const registered = new Map()
+      for (const item of found) {
+        if (item?.exists && item.jid) {
+          registered.set(normalizeDigits(jidNormalizedUser(item.jid).split('@')[0]), jidNormalizedUser(item.jid))
+        }
+      }
+
+      const checkedAt = Date.now()
+      for (const digits of batch) {
+        const key = phoneLookupKeys(digits).find((candidate) => registered.has(candidate))
+        this.remember(digits, { exists: Boolean(key), jid: key ? registered.get(key) : null, checkedAt })
+      }
+    }
+
+    for (const result of results) {
+      if (result.error || result.cached) continue
+      const entry = this.cached(result.digits)
+      Object.assign(result, { exists: Boolean(entry?.exists), jid: entry?.jid || null })
+    }
+
+    if (missing.length > 0) {
+      const unregistered = results.filter((result) => !result.exists).length
+      console.log(
+        `[number-check] instance=${this.instanceId} requested=${results.length} queried=${missing.length} unregistered=${unregistered}`,
+      )
+    }
+    return results.map(({ cached, ...result }) => result)
+  }
+
+  stats() {
+    return { size: this.cache.size }
+  }
+}
+
+function isSettledJournalEntry(entry) {
+  return !entry.callback && !['sending', 'retry_pending', 'scheduled'].includes(entry.state)
+}
+
+class OutboundJournal {
+  constructor(instanceId, edgeClient, filePath) {
+    this.instanceId = instanceId
+    this.edgeClient = edgeClient
+    this.filePath = filePath
+    this.loadPromise = null
+    this.entries = new Map()
+    this.delivering = new Set()
+    this.savePromise = Promise.resolve()
+  }
+
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const raw = await fs.readFile(this.filePath, 'utf8')
+          this.entries = new Map(JSON.parse(raw)?.entries || [])
+        } catch (error) {
+          if (error?.code !== 'ENOENT') {
+            console.warn(`[journal] load failed path=${this.filePath} reason=${normalizeReason(error)}`)
+          }
+        }
+
+        // a previous process stopped between sendMessage and recording its outcome:
+        // the message may have gone out, so it is reported instead of being sent again
+        for (const [queuedId, entry] of this.entries) {
+          if (entry.state !== 'sending') continue
+          console.warn(`[journal] outcome unknown instance=${this.instanceId} messageId=${queuedId}`)
+          this.setOutcome(queuedId, 'failed', '/mark-failed', {
+            messageId: queuedId,
+            error: 'send_outcome_unknown',
+            error_code: 'send_outcome_unknown',
+            retryable: false,
+            send_debug: { reason: 'worker stopped while sending; not resent to avoid duplicates' },
+          })
+        }
+      })()
+    }
+    return this.loadPromise
+  }
+
+  save() {
+    const now = Date.now()
+    for (const [queuedId, entry] of this.entries) {
+      if (isSettledJournalEntry(entry) && now - entry.updatedAt > OUTBOUND_JOURNAL_RETENTION_MS) {
+        this.entries.delete(queuedId)
+      }
+    }
+    // the cap only evicts settled entries: dropping a live one would lose its send guard, retry or callback
+    let excess = this.entries.size - OUTBOUND_JOURNAL_MAX_ENTRIES
+    for (const [queuedId, entry] of this.entries) {
+      if (excess <= 0) break
+      if (isSettledJournalEntry(entry)) {
+        this.entries.delete(queuedId)
+        excess -= 1
+      }
+    }
+    if (excess > 0) {
+      console.warn(
+        `[journal] over capacity instance=${this.instanceId} entries=${this.entries.size} max=${OUTBOUND_JOURNAL_MAX_ENTRIES}`,
+      )
+    }
+
+    const snapshot = JSON.stringify({ entries: [...this.entries] })
+    this.savePromise = this.savePromise
+      .catch(() => {})
+      .then(() => writeFileAtomic(this.filePath, snapshot))
+    return this.savePromise
+  }
+
+  async get(queuedId) {
+    await this.load()
+    return this.entries.get(queuedId) || null
+  }
+
+  async begin(queuedId) {
+    await this.load()
+    this.entries.set(queuedId, { state: 'sending', updatedAt: Date.now() })
+    await this.save()
+  }
+
+  async scheduleRetry(queuedId, queued, attempt, delayMs, failure) {
+    await this.load()
+    this.entries.set(queuedId, {
+      state: 'retry_pending',
+      queued,
+      attempt,
+      retryAt: Date.now() + delayMs,
+      lastErrorCode: failure.code,
+      updatedAt: Date.now(),
+    })
+    await this.save()
+  }
+
+  async hold(queuedId, queued, dueAt) {
+    await this.load()
+    this.entries.set(queuedId, { state: 'scheduled', queued, attempt: 0, dueAt, updatedAt: Date.now() })
+    await this.save()
+  }
+
+  static dueTime(entry) {
+    if (entry.state === 'retry_pending') return entry.retryAt
+    if (entry.state === 'scheduled') return entry.dueAt
+    return null
+  }
+
+  // local retries (all of them, they hold their chat lane) and scheduled sends whose time has come, oldest first
+  async waitingEntries() {
+    await this.load()
+    const now = Date.now()
+    return [...this.entries]
+      .filter(([, entry]) => entry.state === 'retry_pending' || (entry.state === 'scheduled' && entry.dueAt <= now))
+      .map(([queuedId, entry]) => ({
+        queuedId,
+        state: entry.state,
+        queued: entry.queued,
+        attempt: entry.attempt,
+        dueAt: OutboundJournal.dueTime(entry),
+      }))
+      .sort((a, b) => a.dueAt - b.dueAt)
+  }
+
+  // skipIds: scheduled sends already handed to a lane
+  nextScheduledAt(skipIds) {
+    let next = null
+    for (const [queuedId, entry] of this.entries) {
+      if (entry.state === 'scheduled' && !skipIds.has(queuedId) && (next === null || entry.dueAt < next)) {
+        next = entry.dueAt
+      }
+    }
+    return next
+  }
+
+  setOutcome(queuedId, state, endpoint, payload) {
+    const current = this.entries.get(queuedId) || {}
+    this.entries.set(queuedId, {
+      ...current,
+      state,
+      waMessageId: payload?.wa_message_id || current.waMessageId || null,
+      callback: { endpoint, payload },
+      callbackAttempts: 0,
+      nextAttemptAt: 0,
+      updatedAt: Date.now(),
+    })
+  }
+
+  async complete(queuedId, state, endpoint, payload) {
+    await this.load()
+    this.setOutcome(queuedId, state, endpoint, payload)
+    await this.save()
+  }
+
+  async deliverCallback(queuedId) {
+    const entry = this.entries.get(queuedId)
+    if (!entry?.callback) {
+      return true
+    }
+    if (this.delivering.has(queuedId)) {
+      return false
+    }
+
+    const { endpoint } = entry.callback
+    this.delivering.add(queuedId)
+    try {
+      await this.edgeClient.post(endpoint, entry.callback.payload)
+      entry.callback = null
+      entry.updatedAt = Date.now()
+      await this.save()
+      console.log(`[${endpoint.slice(1)}] ok messageId=${queuedId}`)
+      return true
+    } catch (error) {
+      const statusCode = Number(error?.statusCode || 0)
+      entry.callbackAttempts = (entry.callbackAttempts || 0) + 1
+
+      if (statusCode >= 400 && statusCode < 500 && ![408, 429].includes(statusCode)) {
+        console.error(
+          `[${endpoint.slice(1)}] rejected messageId=${queuedId} status=${statusCode} error=${normalizeReason(error)}`,
+        )
+        entry.callback = null
+      } else {
+        const delay = OUTBOUND_CALLBACK_RETRY_DELAYS_MS[
+          Math.min(entry.callbackAttempts - 1, OUTBOUND_CALLBACK_RETRY_DELAYS_MS.length - 1)
+        ]
+        entry.nextAttemptAt = Date.now() + delay
+        console.warn(
+          `[${endpoint.slice(1)}] pending messageId=${queuedId} attempts=${entry.callbackAttempts} retryInMs=${delay} error=${normalizeReason(error)}`,
+        )
+      }
+
+      entry.updatedAt = Date.now()
+      await this.save().catch(() => {})
+      return false
+    } finally {
+      this.delivering.delete(queuedId)
+    }
+  }
+
+  async retryPendingCallbacks() {
+    await this.load()
+    const now = Date.now()
+    for (const [queuedId, entry] of this.entries) {
+      if (entry.callback && entry.nextAttemptAt <= now) {
+        await this.deliverCallback(queuedId)
+      }
+    }
+  }
+
+  stats() {
+    const entries = [...this.entries.values()]
+    return {
+      entries: entries.length,
+      sending: entries.filter((entry) => entry.state === 'sending').length,
+      retry_pending: entries.filter((entry) => entry.state === 'retry_pending').length,
+      scheduled: entries.filter((entry) => entry.state === 'scheduled').length,
+      pending_callbacks: entries.filter((entry) => entry.callback).length,
+    }
+  }
+}
+
+class Semaphore {
+  constructor(limit) {
+    this.limit = limit
+    this.active = 0
+    this.waiters = []
+  }
+
+  async acquire() {
+    if (this.active < this.limit) {
+      this.active += 1
+      return
+    }
+    // release() hands its slot straight to the next waiter
+    await new Promise((resolve) => this.waiters.push(resolve))
+  }
+
+  release() {
+    const next = this.waiters.shift()
+    if (next) {
+      next()
+    } else {
+      this.active -= 1
+    }
+  }
+
+  async run(task) {
+    await this.acquire()
+    try {
+      return await task()
+    } finally {
+      this.release()
+    }
+  }
+}
+
+// shared by every instance: bounds concurrent media_url downloads across the worker
+const outboundMediaDownloads = new Semaphore(OUTBOUND_MEDIA_DOWNLOAD_CONCURRENCY)
+
+// media_url -> file in the instance MediaStore, revalidated with ETag / Last-Modified
+class OutboundMediaCache {
+  constructor(instanceId, mediaStore, filePath) {
+    this.instanceId = instanceId
+    this.mediaStore = mediaStore
+    this.loaded = false
+    this.entries = new Map()
+    this.pending = new Map()
+    this.stateFile = new JsonStateFile(filePath, {
+      tag: 'outbound-media',
+      label: 'index',
+      saveDelayMs: MEDIA_INDEX_SAVE_DELAY_MS,
+      snapshot: () => ({ entries: [...this.entries] }),
+    })
+    this.hits = 0
+    this.downloads = 0
+  }
+
+  async load() {
+    if (this.loaded) {
+      return
+    }
+
+    this.loaded = true
+    const parsed = await this.stateFile.read()
+    this.entries = new Map(parsed?.entries || [])
+  }
+
+  // concurrent sends of the same URL share one download
+  resolve(url, hints) {
+    if (!this.pending.has(url)) {
+      this.pending.set(url, this.fetch(url, hints).finally(() => this.pending.delete(url)))
+    }
+    return this.pending.get(url)
+  }
+
+  async describeStored(hash) {
+    try {
+      const stored = await this.mediaStore.describe(hash)
+      await fs.access(stored.filePath)
+      return stored
+    } catch (error) {
+      return null
+    }
+  }
+
+  async fetch(url, hints) {
+    await this.load()
+    const cached = this.entries.get(url)
+    const stored = cached ? await this.describeStored(cached.hash) : null
+
+    if (stored && Date.now() - cached.checkedAt < OUTBOUND_MEDIA_CACHE_FRESH_MS) {
+      return this.hit(url, cached, stored)
+    }
+
+    const downloaded = await outboundMediaDownloads.run(() => this.download(url, stored ? cached : null, hints))
+    if (downloaded.notModified) {
+      return this.hit(url, { ...cached, checkedAt: Date.now() }, stored)
+    }
+
+    const file = await this.mediaStore.describe(downloaded.hash)
+    const entry = {
+      hash: downloaded.hash,
+      etag: downloaded.etag,
+      lastModified: downloaded.lastModified,
+      contentType: downloaded.contentType,
+      sniffedMime: sniffMimeType(await readFileHead(file.filePath, MIME_SNIFF_BYTES)),
+      checkedAt: Date.now(),
+    }
+    this.remember(url, entry)
+    this.mediaStore.markOutbound(downloaded.hash)
+    this.downloads += 1
+    console.log(
+      `[outbound-media] downloaded instance=${this.instanceId} size=${file.size} mime=${entry.sniffedMime || entry.contentType || 'n/a'} etag=${entry.etag ? 'yes' : 'no'} url=${url}`,
+    )
+    return { ...file, sniffedMime: entry.sniffedMime, contentType: entry.contentType, cacheHit: false }
+  }
+
+  hit(url, entry, stored) {
+    this.remember(url, entry)
+    this.mediaStore.markOutbound(entry.hash)
+    this.hits += 1
+    return { ...stored, sniffedMime: entry.sniffedMime, contentType: entry.contentType, cacheHit: true }
+  }
+
+  remember(url, entry) {
+    this.entries.delete(url)
+    this.entries.set(url, entry)
+    while (this.entries.size > OUTBOUND_MEDIA_CACHE_MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+    this.stateFile.scheduleSave()
+  }
+
+  async download(url, cached, hints) {
+    const controller = new AbortController()
+    let timeout = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS)
+    const headers = {}
+    if (cached?.etag) headers['If-None-Match'] = cached.etag
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified
+
+    try {
+      const response = await fetch(url, { headers, signal: controller.signal })
+      if (response.status === 304 && cached) {
+        return { notModified: true }
+      }
+      if (!response.ok) {
+        throw outboundError(mediaFetchErrorCode(response.status), `media-download-http-${response.status}`)
+      }
+
+      const declaredSize = Number(response.headers.get('content-length')) || 0
+      if (declaredSize > OUTBOUND_MEDIA_MAX_BYTES) {
+        controller.abort()
+        throw outboundError('media_too_large', `media-too-large:${declaredSize}`)
+      }
+
+      // headers arrived: the body gets as long as its size needs at MEDIA_MIN_THROUGHPUT_BPS
+      clearTimeout(timeout)
+      timeout = setTimeout(() => controller.abort(), mediaTransferTimeoutMs(declaredSize || OUTBOUND_MEDIA_MAX_BYTES))
+
+      const contentType = String(response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase() || null
+      const stored = await this.mediaStore.putStream(response.body, {
+        mimeType: hints?.mimeType || contentType,
+        fileName: hints?.fileName,
+        mediaType: hints?.mediaType,
+        maxBytes: OUTBOUND_MEDIA_MAX_BYTES,
+      })
+
+      return {
+        hash: stored.hash,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        contentType,
+      }
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        throw outboundError('media_fetch_timeout', 'media-download-timeout')
+      }
+      if (error?.code === 'MEDIA_TOO_LARGE') {
+        throw outboundError('media_too_large', error.message)
+      }
+      if (OUTBOUND_RETRYABLE_ERROR_CODES.has(error?.code) || OUTBOUND_PERMANENT_ERROR_CODES.has(error?.code)) {
+        throw error
+      }
+      throw outboundError('media_fetch_failed', `media-download-failed: ${normalizeReason(error?.cause || error)}`)
+    } finally {
+      clearTimeout(timeout)
+    }
+  }
+
+  stats() {
+    return { urls: this.entries.size, hits: this.hits, downloads: this.downloads }
+  }
+
+  flush() {
+    return this.stateFile.flush()
+  }
+}
+
+class OutboundQueueRunner {
+  constructor(runtime, edgeClient) {
+    this.runtime = runtime
+    this.edgeClient = edgeClient
+    this.pacer = new SendPacer(runtime.instanceId)
+    this.journal = new OutboundJournal(
+      runtime.instanceId,
+      edgeClient,
+      path.join(STATE_BASE, runtime.instanceId, 'outbound-journal.json'),
+    )
+    this.interval = null
+    this.dueTimer = null
+    this.callbackInterval = null
+    this.polling = false
+    this.wakeRequested = false
+    this.sendSlots = new Semaphore(OUTBOUND_CONCURRENCY)
+    this.lanes = new Map()
+    this.inFlight = new Set()
+  }
+
+  async resolveDestination(queued) {
+    const originalTo = String(queued?.to || '').trim()
+    if (originalTo.endsWith('@lid')) {
+      const resolved = await this.edgeClient.primaryJid(this.runtime.instanceId, originalTo)
+      const jidPn = String(resolved?.jid_pn || resolved?.jid || '').trim()
+      if (!jidPn) {
+        return {
+          originalTo,
+          toNormalized: null,
+          error: 'lid_without_mapping',
+        }
+      }
+      return {
+        originalTo,
+        toNormalized: jidPn,
+      }
+    }
+
+    const normalized = normalizeOutboundTo(queued)
+    if (normalized?.error) {
+      return {
+        ...normalized,
+        error: `invalid-destination:${normalized.error}`,
+      }
+    }
+
+    if (!NUMBER_CHECK_ENABLED || !normalized.toNormalized.endsWith('@s.whatsapp.net')) {
+      return normalized
+    }
+
+    let results
+    try {
+      results = await this.runtime.connection.numberLookup.check([normalized.toNormalized])
+    } catch (error) {
+      // the send itself reports socket problems; a failed lookup must not block it
+      console.warn(
+        `[number-check] lookup failed instance=${this.runtime.instanceId} to=${normalized.toNormalized} error=${normalizeReason(error)}`,
+      )
+      return normalized
+    }
+
+    const [checked] = results
+    if (!checked.exists) {
+      return { ...normalized, error: 'recipient_not_on_whatsapp' }
+    }
+    return { ...normalized, toNormalized: checked.jid || normalized.toNormalized }
+  }
+
+  async sendWithSessionRecovery(toNormalized, queued) {
+    let attempt = 0
+
+    while (attempt <= DECRYPT_RETRY_MAX_ATTEMPTS) {
+      if (!this.runtime.sock) {
+        throw outboundError('socket_not_ready')
+      }
+      const targetJid = await this.runtime.connection.resolveCanonicalJid(toNormalized)
+      try {
+        return await this.sendOutboundMessage(targetJid, queued)
+      } catch (error) {
+        if (!isSignalSessionError(error)) {
+          throw error
+        }
+
+        const isNoMatchingSession = String(error?.message || error || '')
+          .toLowerCase()
+          .includes('no matching sessions found')
+        const canRetry = isNoMatchingSession && attempt < DECRYPT_RETRY_MAX_ATTEMPTS
+
+        if (!canRetry) {
+          console.warn(
+            `[fallback] reason=decrypt_retry_exhausted instance=${this.runtime.instanceId} jid=${targetJid} attempts=${attempt + 1}`,
+          )
+          throw error
+        }
+
+        const retryAttempt = attempt + 1
+        const backoffMs = SESSION_REFRESH_BACKOFF_MS[Math.min(attempt, SESSION_REFRESH_BACKOFF_MS.length - 1)]
+        console.warn(
+          `[fallback] reason=session_refresh_attempt instance=${this.runtime.instanceId} jid=${targetJid} attempt=${retryAttempt} backoffMs=${backoffMs}`,
+        )
+        await this.runtime.connection.refreshSessionForJid(targetJid)
+        await sleep(backoffMs)
+      }
+
+      attempt += 1
+    }
+
+    throw new Error('decrypt-retry-loop-exhausted')
+  }
+
+  start() {
+    this.stop()
+    this.tick().catch((error) => {
+      console.error(`[queue:${this.runtime.instanceId}] tick failed: ${normalizeReason(error)}`)
+    })
+    this.interval = setInterval(() => {
+      this.tick().catch((error) => {
+        console.error(`[queue:${this.runtime.instanceId}] tick failed: ${normalizeReason(error)}`)
+      })
+    }, QUEUE_PUSH_ENABLED ? QUEUE_SAFETY_POLL_MS : QUEUE_POLL_MS)
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval)
+      this.interval = null
+    }
+    if (this.dueTimer) {
+      clearTimeout(this.dueTimer)
+      this.dueTimer = null
+    }
+
+    // waiting lanes are rebuilt from the journal (and the backend re-serves the rest) on the next start
+    for (const [laneKey, lane] of this.lanes) {
+      if (!lane.timer) continue
+      clearTimeout(lane.timer)
+      for (const { queuedId } of lane.entries) {
+        this.inFlight.delete(queuedId)
+      }
+      this.lanes.delete(laneKey)
+    }
+  }
+
+  // scheduled sends stay out of the chat lanes until due; this wakes the runner for the next one
+  armDueTimer() {
+    if (this.dueTimer) {
+      clearTimeout(this.dueTimer)
+      this.dueTimer = null
+    }
+
+    const nextDueAt = this.journal.nextScheduledAt(this.inFlight)
+    if (nextDueAt === null || !this.interval) {
+      return
+    }
+
+    this.dueTimer = setTimeout(() => {
+      this.dueTimer = null
+      // a due time that lands mid-poll runs once that poll ends
+      this.wake()
+    }, Math.min(MAX_TIMER_DELAY_MS, Math.max(0, nextDueAt - Date.now())))
+  }
+
+  // /mark-sent and /mark-failed only need the backend, so they keep retrying while the socket is down
+  startCallbackRetries() {
+    if (this.callbackInterval) {
+      return
+    }
+
+    this.callbackInterval = setInterval(() => {
+      this.journal.retryPendingCallbacks().catch((error) => {
+        console.error(`[journal] callback retry failed instance=${this.runtime.instanceId} error=${normalizeReason(error)}`)
+      })
+    }, OUTBOUND_CALLBACK_RETRY_DELAYS_MS[0])
+  }
+
+  stopCallbackRetries() {
+    if (this.callbackInterval) {
+      clearInterval(this.callbackInterval)
+      this.callbackInterval = null
+    }
+  }
+
+  scheduleTick() {
+    setImmediate(() => {
+      this.tick().catch((error) => {
+        console.error(`[queue:${this.runtime.instanceId}] tick failed: ${normalizeReason(error)}`)
+      })
+    })
+  }
+
+  // push from the backend (POST /wake): a wake that lands mid-poll is honoured once that poll ends
+  wake() {
+    this.wakeRequested = true
+    this.scheduleTick()
+  }
+
+  async tick() {
+    if (this.polling || !this.runtime.isConnected() || !this.runtime.sock) {
+      return
+    }
+
+    this.polling = true
+    this.wakeRequested = false
+    let pollAgain = false
+    try {
+      // journaled retries and due scheduled sends go first so later messages to the same chat queue up behind them
+      for (const waiting of await this.journal.waitingEntries()) {
+        await this.enqueue(waiting.queued, waiting.attempt, {
+          dueAt: waiting.state === 'retry_pending' ? waiting.dueAt : 0,
+          waitingState: waiting.state,
+        })
+      }
+
+      // everything polled stays in memory until sent, so stop fetching while the lanes are backed up
+      // (a chat parked behind a local retry does not count, nor does its backlog)
+      const parked = [...this.lanes.values()]
+        .filter((lane) => lane.timer)
+        .reduce((total, lane) => total + lane.entries.length, 0)
+      if (this.inFlight.size - parked >= QUEUE_PAGE_SIZE * 2) {
+        return
+      }
+
+      const waitQuery = QUEUE_LONG_POLL_MS > 0 ? `&wait_ms=${QUEUE_LONG_POLL_MS}` : ''
+      const payload = await this.edgeClient.get(
+        `/queued-messages?instanceId=${encodeURIComponent(this.runtime.instanceId)}&limit=${QUEUE_PAGE_SIZE}${waitQuery}`,
+        { timeoutMs: HTTP_TIMEOUT_MS + QUEUE_LONG_POLL_MS },
+      )
+      const messages = Array.isArray(payload) ? payload : payload?.messages
+      const count = Array.isArray(messages) ? messages.length : 0
+
+      if (count === 0) {
+        return
+      }
+
+      console.log(`[queue] polled count=${count} instance=${this.runtime.instanceId}`)
+
+      let accepted = 0
+      for (const queued of messages) {
+        if (queued?.id && this.inFlight.has(queued.id)) {
+          continue
+        }
+
+        const journaled = queued?.id ? await this.journal.get(queued.id) : null
+        if (journaled) {
+          if (!['retry_pending', 'scheduled'].includes(journaled.state)) {
+            console.log(
+              `[journal] skip resend instance=${this.runtime.instanceId} messageId=${queued.id} state=${journaled.state}`,
+            )
+          }
+          // a pending callback is left to startCallbackRetries and its backoff
+          continue
+        }
+
+        const sendAt = parseScheduleTime(queued?.send_at)
+        if (sendAt > Date.now() + OUTBOUND_SCHEDULE_TOLERANCE_MS && !validateQueuedMessage(queued)) {
+          try {
+            await this.journal.hold(queued.id, queued, sendAt)
+          } catch (error) {
+            // not journaled, so the backend serves it again on a later poll
+            console.error(
+              `[journal] persist failed instance=${this.runtime.instanceId} messageId=${queued.id} state=scheduled error=${normalizeReason(error)}`,
+            )
+            continue
+          }
+          console.log(
+            `[schedule] held instance=${this.runtime.instanceId} messageId=${queued.id} sendAt=${new Date(sendAt).toISOString()}`,
+          )
+          continue
+        }
+
+        if (await this.enqueue(queued, 0)) {
+          accepted += 1
+        }
+      }
+
+      // a full page (or a long-poll that returned work) means more may be waiting right now
+      pollAgain = accepted > 0 && (count >= QUEUE_PAGE_SIZE || QUEUE_LONG_POLL_MS > 0)
+    } finally {
+      this.polling = false
+      this.armDueTimer()
+    }
+
+    if (pollAgain || this.wakeRequested) {
+      this.scheduleTick()
+    }
+  }
+
+  // one lane per chat however `to` is spelled: bare digits, @s.whatsapp.net, @lid (through the
+  // identity alias map) and Brazilian numbers with or without the 9th digit
+  async laneKeyFor(queued) {
+    let jid = normalizeOutboundTo(queued)?.toNormalized || null
+    if (jid?.endsWith('@lid')) {
+      jid = await this.runtime.connection.identityAliasStore.resolveCanonical(jid).catch(() => jid)
+    }
+    if (!jid?.endsWith('@s.whatsapp.net')) {
+      return jid
+    }
+    const digits = normalizeDigits(jid.split('@')[0].split(':')[0])
+    return digits ? `${phoneLookupKeys(digits).sort()[0]}@s.whatsapp.net` : jid
+  }
+
+  // messages to the same chat run in order; different chats share OUTBOUND_CONCURRENCY slots.
+  // A head waiting for a local retry keeps the rest of its chat behind it; scheduled sends only
+  // get here once due (see armDueTimer), so they never hold a chat.
+  async enqueue(queued, attempt, { dueAt = 0, waitingState = null } = {}) {
+    const queuedId = queued?.id || `malformed-${crypto.randomUUID()}`
+    if (this.inFlight.has(queuedId)) {
+      return false
+    }
+
+    this.inFlight.add(queuedId)
+    const laneKey = (await this.laneKeyFor(queued)) || queuedId
+    const entry = { queuedId, queued, attempt, dueAt, waitingState }
+    const lane = this.lanes.get(laneKey)
+    if (lane) {
+      lane.entries.push(entry)
+      return true
+    }
+
+    this.lanes.set(laneKey, { entries: [entry], timer: null })
+    this.runLane(laneKey)
+    return true
+  }
+
+  runLane(laneKey) {
+    this.drainLane(laneKey).catch((error) => {
+      console.error(`[queue:${this.runtime.instanceId}] lane failed chat=${laneKey}: ${normalizeReason(error)}`)
+    })
+  }
+
+  async drainLane(laneKey) {
+    const lane = this.lanes.get(laneKey)
+    lane.timer = null
+    let parked = false
+    try {
+      while (lane.entries.length > 0) {
+        const head = lane.entries[0]
+        const waitMs = head.dueAt - Date.now()
+        if (waitMs > 0) {
+          lane.timer = setTimeout(() => this.runLane(laneKey), Math.min(MAX_TIMER_DELAY_MS, waitMs))
+          parked = true
+          return
+        }
+
+        if (head.waitingState) {
+          console.log(
+            head.waitingState === 'scheduled'
+              ? `[schedule] due instance=${this.runtime.instanceId} messageId=${head.queuedId}`
+              : `[send-retry] run instance=${this.runtime.instanceId} messageId=${head.queuedId} attempt=${head.attempt}`,
+          )
+          head.waitingState = null
+        }
+
+        let outcome = false
+        try {
+          outcome = await this.processQueued(head.queued, head.attempt)
+        } catch (error) {
+          console.error(
+            `[queue:${this.runtime.instanceId}] process failed messageId=${head.queuedId}: ${normalizeReason(error)}`,
+          )
+        }
+
+        if (outcome?.retryAt) {
+          // stays at the head: nothing else to this chat goes out before it is final
+          Object.assign(head, { attempt: outcome.attempt, dueAt: outcome.retryAt, waitingState: 'retry_pending' })
+          continue
+        }
+
+        lane.entries.shift()
+        this.inFlight.delete(head.queuedId)
+        if (!outcome) {
+          // not journaled yet, so the backend serves them again once the socket is back
+          break
+        }
+      }
+    } finally {
+      if (!parked) {
+        for (const { queuedId } of lane.entries) {
+          this.inFlight.delete(queuedId)
+        }
+        this.lanes.delete(laneKey)
+      }
+    }
+  }
+
+  // returns false when the socket went away and the rest of the lane should wait,
+  // { retryAt, attempt } when a local retry was scheduled, true once the message is final
+  async processQueued(queued, attempt) {
+    if (!this.runtime.isConnected() || !this.runtime.sock) {
+      return false
+    }
+
+    const invalid = validateQueuedMessage(queued)
+    if (invalid) {
+      console.warn(
+        `[queue:${this.runtime.instanceId}] malformed queued message id=${queued?.id || 'n/a'} error=${invalid.error} reason=${invalid.reason}`,
+      )
+      if (queued?.id) {
+        await this.reportFailure(queued.id, invalid.error, {
+          code: invalid.error.replace(/-/g, '_'),
+          retryable: false,
+          attempts: attempt + 1,
+          sendDebug: { reason: invalid.reason },
+        })
+      }
+      return true
+    }
+
+    if (isQueuedMessageExpired(queued)) {
+      await this.reportExpired(queued, attempt)
+      return true
+    }
+
+    const { originalTo, toNormalized, error: toError } = await this.resolveDestination(queued)
+
+    if (toError) {
+      const reason = toError
+      await this.reportFailure(queued.id, reason, {
+        code: reason.startsWith('invalid-destination:') ? 'invalid_destination' : reason,
+        retryable: false,
+        attempts: attempt + 1,
+        sendDebug: {
+          toOriginal: originalTo,
+          toNormalized,
+          reason,
+        },
+      })
+      console.error(
+        `[queue:${this.runtime.instanceId}] send skipped for ${queued.id}: ${reason} toOriginal=${originalTo} toNormalized=${toNormalized}`,
+      )
+      return true
+    }
+
+    await this.pacer.waitTurn(toNormalized)
+    await this.pacer.simulatePresence(this.runtime.sock, toNormalized, queued)
+    if (isQueuedMessageExpired(queued)) {
+      await this.reportExpired(queued, attempt)
+      return true
+    }
+
+    // pacing and typing wait outside the semaphore: a slot covers only the journal mark and the send itself
+    await this.sendSlots.acquire()
+    let result
+    let sendError = null
+    try {
+      if (!this.runtime.isConnected() || !this.runtime.sock) {
+        return false
+      }
+
+      try {
+        await this.journal.begin(queued.id)
+      } catch (error) {
+        console.error(
+          `[journal] persist failed instance=${this.runtime.instanceId} messageId=${queued.id} state=sending error=${normalizeReason(error)}`,
+        )
+        return false
+      }
+
+      try {
+        result = await this.sendWithSessionRecovery(toNormalized, queued)
+      } catch (error) {
+        sendError = error
+      }
+    } finally {
+      this.sendSlots.release()
+    }
+
+    if (sendError) {
+      const failure = classifyOutboundError(sendError)
+      const reason = failure.message
+
+      if (failure.retryable && !failure.beforeSend) {
+        // the id is journaled as sending and may already be on the phone: settle it like a crash mid-send
+        console.error(
+          `[send-unknown] messageId=${queued.id} toNormalized=${toNormalized} code=${failure.code} attempts=${attempt + 1} error=${reason}`,
+        )
+        await this.reportFailure(queued.id, 'send_outcome_unknown', {
+          code: 'send_outcome_unknown',
+          retryable: false,
+          attempts: attempt + 1,
+          sendDebug: {
+            toOriginal: originalTo,
+            toNormalized,
+            cause_code: failure.code,
+            error: sendError.message || String(sendError),
+            reason: 'send may have reached WhatsApp; not resent to avoid duplicates',
+          },
+        })
+        return true
+      }
+
+      if (failure.retryable && attempt < OUTBOUND_RETRY_MAX_ATTEMPTS) {
+        const delayMs = OUTBOUND_RETRY_DELAYS_MS[Math.min(attempt, OUTBOUND_RETRY_DELAYS_MS.length - 1)]
+        console.warn(
+          `[send-retry] scheduled messageId=${queued.id} toNormalized=${toNormalized} code=${failure.code} attempt=${attempt + 1} retryInMs=${delayMs} error=${reason}`,
+        )
+        try {
+          await this.journal.scheduleRetry(queued.id, queued, attempt + 1, delayMs, failure)
+          return { retryAt: Date.now() + delayMs, attempt: attempt + 1 }
+        } catch (journalError) {
+          console.error(
+            `[journal] persist failed instance=${this.runtime.instanceId} messageId=${queued.id} state=retry_pending error=${normalizeReason(journalError)}`,
+          )
+        }
+      }
+
+      console.error(
+        `[send-failed] messageId=${queued.id} toOriginal=${originalTo} toNormalized=${toNormalized} code=${failure.code} attempts=${attempt + 1} error=${reason}`,
+      )
+      await this.reportFailure(queued.id, reason, {
+        code: failure.code,
+        retryable: failure.retryable,
+        attempts: attempt + 1,
+        sendDebug: {
+          toOriginal: originalTo,
+          toNormalized,
+          error: sendError.message || String(sendError),
+          stack: sendError.stack || null,
+        },
+      })
+      console.error(
+        `[queue:${this.runtime.instanceId}] send failed for ${queued.id}: ${reason} toOriginal=${originalTo} toNormalized=${toNormalized}`,
+      )
+      return true
+    }
+
+    console.log(
+      `[send-success] messageId=${queued.id} toOriginal=${originalTo} toNormalized=${toNormalized} wa_message_id=${result?.key?.id || null}`,
+    )
+    this.runtime.connection.noteSocketActivity('send')
+    this.runtime.connection.rememberOutboundMessage(result?.key?.id, queued.id)
+    await this.runtime.connection.messageStore.remember(result).catch(() => {})
+    await this.reportOutcome(queued.id, 'sent', '/mark-sent', {
+      messageId: queued.id,
+      wa_message_id: result?.key?.id || null,
+      attempts: attempt + 1,
+      send_debug: {
+        toOriginal: originalTo,
+        toNormalized,
+        result,
+      },
+    })
+    return true
+  }
+
+  async reportExpired(queued, attempt) {
+    console.warn(
+      `[schedule] expired instance=${this.runtime.instanceId} messageId=${queued.id} expiresAt=${new Date(parseScheduleTime(queued.expires_at)).toISOString()}`,
+    )
+    await this.reportFailure(queued.id, 'expired', {
+      code: 'expired',
+      retryable: false,
+      attempts: attempt + 1,
+      sendDebug: { send_at: queued.send_at ?? null, expires_at: queued.expires_at },
+    })
+  }
+
+  // `error` keeps the legacy free-text reason; backends should switch on error_code
+  async reportFailure(queuedId, reason, { code, retryable, attempts, sendDebug }) {
+    await this.reportOutcome(queuedId, 'failed', '/mark-failed', {
+      messageId: queuedId,
+      error: reason,
+      error_code: code,
+      retryable,
+      attempts,
+      send_debug: sendDebug,
+    })
+  }
+
+  async reportOutcome(queuedId, state, endpoint, payload) {
+    try {
+      await this.journal.complete(queuedId, state, endpoint, payload)
+    } catch (error) {
+      console.error(
+        `[journal] persist failed instance=${this.runtime.instanceId} messageId=${queuedId} state=${state} error=${normalizeReason(error)}`,
+      )
+    }
+    await this.journal.deliverCallback(queuedId)
+  }
+
+  // a message that fell out of the local store is rebuilt from the request: the key is all WhatsApp
+  // needs to react to or quote it (a quote then shows `quoted_body`, if given, as its preview)
+  async lookupStoredMessage(chatJid, waMessageId, { fromMe, participant, body }) {
+    const stored = await this.runtime.connection.messageStore.get(waMessageId)
+    if (stored) {
+      return stored
+    }
+    if (fromMe === undefined) {
+      return null
+    }
+
+    console.warn(
+      `[message-store] miss instance=${this.runtime.instanceId} wa_message_id=${waMessageId} fallback=request-key fromMe=${fromMe}`,
+    )
+    return {
+      key: { remoteJid: chatJid, fromMe, id: waMessageId, participant: participant || undefined },
+      message: { conversation: body || '' },
+    }
+  }
+
+  async sendOutboundAction(toNormalized, queued) {
+    // edit/delete only make sense on our own messages, so without a stored copy they need target_from_me
+    const target = await this.lookupStoredMessage(toNormalized, queued.target_wa_message_id, {
+      fromMe: queued.action === 'react' ? Boolean(queued.target_from_me) : queued.target_from_me === true || undefined,
+      participant: queued.target_participant,
+    })
+    if (!target) {
+      throw outboundError('target_message_not_found')
+    }
+
+    if (queued.action === 'react') {
+      return this.runtime.sock.sendMessage(toNormalized, {
+        react: { text: queued.emoji ?? queued.body ?? '', key: target.key },
+      })
+    }
+
+    if (!target.key.fromMe) {
+      throw outboundError(`${queued.action}_target_not_from_me`)
+    }
+
+    if (queued.action === 'edit') {
+      return this.runtime.sock.sendMessage(toNormalized, { text: queued.body, edit: target.key })
+    }
+
+    return this.runtime.sock.sendMessage(toNormalized, { delete: target.key })
+  }
+
+  async sendOutboundMessage(toNormalized, queued) {
+    const kind = resolveOutboundKind(queued)
+    if (kind === 'action') {
+      return this.sendOutboundAction(toNormalized, queued)
+    }
+
+    const options = queued?.quoted_wa_message_id
+      ? {
+          quoted: await this.lookupStoredMessage(toNormalized, queued.quoted_wa_message_id, {
+            fromMe: Boolean(queued.quoted_from_me),
+            participant: queued.quoted_participant,
+            body: queued.quoted_body,
+          }),
+        }
+      : undefined
+    const mentions = normalizeMentions(queued?.mentions)
+    const mentionContent = mentions.length > 0 ? { mentions } : {}
+
+    if (kind === 'location') {
+      return this.runtime.sock.sendMessage(
+        toNormalized,
+        {
+          location: {
+            degreesLatitude: Number(queued.location.latitude),
+            degreesLongitude: Number(queued.location.longitude),
+            name: queued.location.name || undefined,
+            address: queued.location.address || undefined,
+          },
+        },
+        options,
+      )
+    }
+
+    if (kind === 'contacts') {
+      const cards = queued.contacts.map((contact) => ({
+        displayName: contact.display_name || contact.full_name || undefined,
+        vcard: buildVcard(contact),
+      }))
+      return this.runtime.sock.sendMessage(
+        toNormalized,
+        {
+          contacts: {
+            displayName: cards.length === 1 ? cards[0].displayName : `${cards.length} contacts`,
+            contacts: cards,
+          },
+        },
+        options,
+      )
+    }
+
+    if (kind === 'poll') {
+      const poll = {
+        question: String(queued.poll.question).trim(),
+        options: queued.poll.options.map((option) => String(option).trim()),
+        selectable_count: Number(queued.poll.selectable_count ?? 1),
+      }
+      const result = await this.runtime.sock.sendMessage(
+        toNormalized,
+        {
+          poll: { name: poll.question, values: poll.options, selectableCount: poll.selectable_count },
+          ...mentionContent,
+        },
+        options,
+      )
+      await this.runtime.connection.rememberPoll(result, poll)
+      return result
+    }
+
+    if (!queued?.media_url) {
+      return this.runtime.sock.sendMessage(toNormalized, { text: queued.body || '', ...mentionContent }, options)
+    }
+
+    const media = await this.runtime.connection.outboundMedia.resolve(queued.media_url, {
+      mimeType: queued.mime_type,
+      fileName: queued.file_name,
+      mediaType: queued.media_type,
+    })
+    const mimeType = resolveOutboundMime(media.sniffedMime, queued.mime_type || media.contentType)
+    const mediaType = resolveOutboundMediaType(queued.media_type, mimeType)
+    if (queued.media_type && mediaType !== queued.media_type) {
+      console.warn(
+        `[outbound-media] type mismatch instance=${this.runtime.instanceId} messageId=${queued.id} requested=${queued.media_type} detected=${mimeType} sending=${mediaType}`,
+      )
+    }
+    const source = { url: media.filePath }
+    const caption = queued.body || ''
+
+    if (mediaType === 'image') {
+      return this.runtime.sock.sendMessage(toNormalized, { image: source, mimetype: mimeType, caption, ...mentionContent }, options)
+    }
+
+    if (mediaType === 'video') {
+      return this.runtime.sock.sendMessage(toNormalized, { video: source, mimetype: mimeType, caption, ...mentionContent }, options)
+    }
+
+    if (mediaType === 'audio') {
+      // opus in ogg is what WhatsApp records, so it goes out as a voice note unless told otherwise
+      const ptt = typeof queued.ptt === 'boolean' ? queued.ptt : mimeType.includes('opus')
+      return this.runtime.sock.sendMessage(
+        toNormalized,
+        {
+          audio: source,
+          mimetype: ptt && mimeType.startsWith('audio/ogg') ? 'audio/ogg; codecs=opus' : mimeType,
+          ptt,
+        },
+        options,
+      )
+    }
+
+    return this.runtime.sock.sendMessage(
+      toNormalized,
+      {
+        document: source,
+        mimetype: mimeType,
+        fileName: queued.file_name || `document-${queued.id}.${inferExtension({ mimeType })}`,
+        caption,
+        ...mentionContent,
+      },
+      options,
+    )
+  }
+}
+
+class ConnectionRunner {
+  constructor(runtime, edgeClient) {
+    this.runtime = runtime
+    this.edgeClient = edgeClient
+    this.sock = null
+    this.connecting = false
+    this.connected = false
+    this.connectedAt = null
+    this.intentionalStop = false
+    this.reconnectAttempt = 0
+    this.reconnectTimeout = null
+    this.badMacTimestamps = []
+    this.badMacBreakerUntil = 0
+    this.badMacBreakerRunning = false
+    this.signalErrorUsers = new Map()
+    this.contactResolveCache = new Map()
+    this.outboundMessageIds = new Map()
+    this.messageStatusCache = new Map()
+    this.authStore = createAuthStore(runtime.instanceId, edgeClient)
+    this.authSnapshots = new AuthSnapshotStore(runtime.instanceId)
+    this.identityAliasStore = new IdentityAliasStore(this.authStore)
+    this.pollStore = new PollStore(path.join(STATE_BASE, runtime.instanceId, 'polls.json'))
+    this.historyImporter = new HistoryImporter(this, edgeClient, path.join(STATE_BASE, runtime.instanceId, 'history-import.json'))
+    this.inboundDedupe = new InboundDedupeIndex(path.join(STATE_BASE, runtime.instanceId, 'inbound-dedupe.json'))
+    this.messageStore = new MessageStore(path.join(STATE_BASE, runtime.instanceId, 'message-store.json'))
+    this.mediaStore = new MediaStore(runtime.instanceId, path.join(MEDIA_BASE, runtime.instanceId))
+    this.inboundSpool = new InboundSpool(
+      runtime.instanceId,
+      edgeClient,
+      this.mediaStore,
+      path.join(STATE_BASE, runtime.instanceId, 'inbound-spool'),
+    )
+    this.loginMethod = 'qr'
+    this.pairingPhone = null
+    this.loginOverride = false
+    this.pairing = null
+    this.pairingRequest = null
+    this.pairingTimer = null
+    this.pairingCodesIssued = 0
+    this.numberLookup = new NumberLookup(this)
+    this.outboundMedia = new OutboundMediaCache(
+      runtime.instanceId,
+      this.mediaStore,
+      path.join(STATE_BASE, runtime.instanceId, 'outbound-media.json'),
+    )
+    this.outbound = new OutboundQueueRunner(runtime, edgeClient)
+    this.socketActivity = { frame: 0, ack: 0, send: 0 }
+    this.watchdogTimer = null
+    this.watchdogProbing = false
+    this.watchdogProbeFailures = 0
+    this.forcedReconnects = 0
+    this.forcedClose = null
+    this.lifecycle = { state: 'stopped', reason: null, previousState: null, changedAt: Date.now() }
+    this.connectFailures = 0
+    this.lastDisconnectCode = null
+    this.lockOwner = null
+  }
+
+  isConnected() {
+    return this.connected
+  }
+
+  isBusy() {
+    return this.connecting || this.connected
+  }
+
+  clearReconnect() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout)
+      this.reconnectTimeout = null
+    }
+  }
+
+  async resolveCanonicalJid(jid, senderPn = null) {
+    const canonicalJid = await this.identityAliasStore.resolveCanonical(jid, senderPn)
+    const originalJid = String(jid || '').trim()
 
     if (canonicalJid !== originalJid) {
       console.log(
@@ -851,6 +4252,17 @@ class ConnectionRunner {
     return canonicalJid
   }
 
+  async canonicalChatJid(msg) {
+    const chatJid = msg.key?.remoteJid
+    const senderPn = chatJid?.endsWith('@g.us') || msg.key?.fromMe ? null : extractSenderPn(msg)
+    try {
+      return await this.identityAliasStore.resolveCanonical(chatJid, senderPn)
+    } catch (error) {
+      console.warn(`[identity] canonical lookup failed instance=${this.runtime.instanceId} jid=${chatJid} error=${normalizeReason(error)}`)
+      return chatJid
+    }
+  }
+
   async rememberIdentityAlias(jidLid, jidPn) {
     const changed = await this.identityAliasStore.rememberPair(jidLid, jidPn)
     if (changed) {
@@ -879,19 +4291,27 @@ class ConnectionRunner {
 
     this.intentionalStop = false
     this.connecting = true
+    this.inboundSpool.start()
+    this.mediaStore.start()
+    this.outbound.startCallbackRetries()
 
     try {
-      await this.edgeClient.safeUpdateStatus(this.runtime.instanceId, 'CONNECTING')
-      const { state, saveCreds } = await useMultiFileAuthState(this.authPath)
+      await this.reportState('connecting', { reason: this.reconnectAttempt > 0 ? 'reconnect' : 'start' })
+      const { state, saveCreds } = await this.authStore.useAuthState()
       const { version } = await fetchLatestBaileysVersion()
-      this.sock = makeWASocket({ auth: state, version })
+      this.sock = makeWASocket({ auth: state, version, syncFullHistory: HISTORY_IMPORT_ENABLED })
       this.runtime.sock = this.sock
       this.bindEvents(saveCreds)
     } catch (error) {
       this.connecting = false
       this.sock = null
       this.runtime.sock = null
-      await this.edgeClient.safeUpdateStatus(this.runtime.instanceId, 'DISCONNECTED', null)
+      this.connectFailures += 1
+      await this.reportState(this.connectFailures >= CONNECT_FAILURE_ALERT_THRESHOLD ? 'connect_failing' : 'reconnecting', {
+        reason: 'connect_error',
+        qrCode: null,
+        extra: { last_error: normalizeReason(error) },
+      })
       throw error
     }
   }
@@ -973,6 +4393,8 @@ class ConnectionRunner {
 
   bindEvents(saveCreds) {
     this.sock.ev.on('creds.update', saveCreds)
+    // every decoded stanza (messages, receipts, notifications, keepalive pongs) counts as liveness
+    this.sock.ws?.on?.('frame', () => this.noteSocketActivity('frame'))
 
     this.sock.ev.on('messages.upsert', async (upsert) => {
       const instanceId = this.runtime.instanceId
@@ -984,150 +4406,94 @@ class ConnectionRunner {
       for (const msg of upsert.messages) {
         if (!msg) continue
 
-        const key = msg.key
-        const chatIdNorm = key?.remoteJid
-        if (!chatIdNorm) continue
-
-        const lidPnPair = extractLidPnPair(msg)
-        if (lidPnPair?.jid_lid && lidPnPair?.jid_pn) {
-          try {
-            await this.rememberIdentityAlias(lidPnPair.jid_lid, lidPnPair.jid_pn)
-          } catch (error) {
-            console.warn(
-              `[identity] alias-save-failed instance=${instanceId} lid=${lidPnPair.jid_lid} pn=${lidPnPair.jid_pn} error=${normalizeReason(error)}`,
-            )
-          }
+        // Baileys hands undecryptable messages over as CIPHERTEXT stubs carrying the decrypt error;
+        // only Bad MAC counts, "No matching sessions" stubs are healed by Baileys' retry receipts
+        const stubError = String(msg.messageStubParameters?.[0] || '')
+        if (msg.messageStubType === proto.WebMessageInfo.StubType.CIPHERTEXT && /bad mac/i.test(stubError)) {
+          this.registerSignalSessionError(
+            stubError,
+            'inbound-decrypt',
+            msg.key?.participant || msg.key?.remoteJid,
+          )
         }
 
-        const isGroup = chatIdNorm.endsWith('@g.us')
-        const senderJidRaw = isGroup
-          ? key.participant || chatIdNorm
-          : key.fromMe
-            ? this.sock?.user?.id || chatIdNorm
-            : chatIdNorm
-        const senderPn = extractSenderPn(msg)
-        const contactJid = key.fromMe
-          ? chatIdNorm
-          : senderPn || senderJidRaw
-
-        const chatIdCanonical = await this.resolveCanonicalJid(chatIdNorm)
-        const senderJidCanonical = await this.resolveCanonicalJid(senderJidRaw, senderPn)
-
-        const pushName = resolvePushName(upsert, msg)
-        const senderContactId = key.fromMe
-          ? null
-          : await this.resolveSenderContactId({
-              instanceId,
-              contactJid,
-              pushName,
-            })
-
-        const { mediaType, body, content } = extractInboundContent(msg)
-
-        if (!body && !mediaType) continue
-
-        let mediaUrl = null
-        let mimeType = null
-        let fileName = null
-        let fileSize = null
-        if (mediaType && content) {
-          try {
-            const mediaBuffer = await downloadInboundMedia(content, mediaType)
-            mimeType = content?.mimetype || null
-            fileName =
-              content?.fileName ||
-              `${key.id || `msg-${Date.now()}`}.${inferExtension({
-                mimeType,
-                fileName: content?.fileName || '',
-                mediaType,
-              })}`
-            fileSize = mediaBuffer.length
-
-            const uploaded = await this.edgeClient.uploadMedia({
-              instanceId,
-              messageId: key.id || null,
-              mime_type: mimeType,
-              file_name: sanitizeFileName(fileName),
-              bytes_base64: mediaBuffer.toString('base64'),
-            })
-            mediaUrl = uploaded?.media_url || null
-          } catch (error) {
-            console.error(`[inbound-media] ERROR instance=${instanceId} messageId=${key.id || 'n/a'}`, error)
-          }
+        if (!extractInboundEvent(msg)) {
+          await this.messageStore.remember(msg).catch((error) => {
+            console.warn(`[message-store] remember failed instance=${instanceId} error=${normalizeReason(error)}`)
+          })
         }
 
-        if (mediaType && !mediaUrl) continue
-
-        const payload = {
-          instanceId,
-          from: senderJidRaw,
-          to: this.sock?.user?.id || '',
-          body,
-          wa_message_id: key.id || null,
-          from_me: !!key.fromMe,
-          chat_id_norm: chatIdCanonical,
-          sender_jid_raw: senderJidCanonical,
-          sender_pn: senderPn,
-          sender_contact_id: senderContactId,
-          push_name: pushName,
-          media_type: mediaType,
-          media_url: mediaUrl,
-          mime_type: mimeType,
-          file_name: fileName,
-          file_size: fileSize,
+        const dedupeKey = InboundDedupeIndex.keyFor(msg.key, await this.canonicalChatJid(msg))
+        if (dedupeKey && !(await this.inboundDedupe.claim(dedupeKey))) {
+          this.inboundDedupe.recordHit(upsert.type)
+          console.log(
+            `[inbound-dedupe] hit instance=${instanceId} type=${upsert?.type} chat=${msg.key?.remoteJid} id=${msg.key?.id}`,
+          )
+          continue
         }
 
+        let accepted = false
         try {
-          const inboundController = new AbortController()
-          const inboundTimeout = setTimeout(() => inboundController.abort(), HTTP_TIMEOUT_MS)
-          try {
-            const res = await fetch(`${EDGE_BASE_URL}/inbound`, {
-              method: 'POST',
-              headers: {
-                Authorization: `Bearer ${WORKER_SECRET}`,
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify(payload),
-              signal: inboundController.signal,
-            })
-            const txt = await res.text()
-            if (!res.ok) {
-              console.error(`[inbound] FAIL instance=${instanceId} status=${res.status} body=${txt}`)
-            } else {
-              console.log(`[inbound] ok instance=${instanceId} chat=${chatIdNorm}`)
-            }
-          } finally {
-            clearTimeout(inboundTimeout)
-          }
+          accepted = await this.processInboundMessage(upsert, msg)
         } catch (error) {
-          this.registerSignalSessionError(error, 'inbound-delivery')
-          console.error(`[inbound] ERROR instance=${instanceId}`, error)
+          // one bad message must not abort the batch (or escape the handler as an unhandled rejection)
+          console.error(
+            `[inbound] process failed instance=${instanceId} chat=${msg.key?.remoteJid} id=${msg.key?.id} error=${normalizeReason(error)}`,
+          )
+        } finally {
+          if (dedupeKey) {
+            this.inboundDedupe.settle(dedupeKey, accepted)
+          }
         }
       }
     })
 
+    this.sock.ev.on('messaging-history.set', (historySet) => {
+      this.historyImporter.enqueue(historySet)
+    })
+
+    this.sock.ev.on('messages.update', async (updates) => {
+      this.noteSocketActivity('ack')
+      for (const { key, update } of updates || []) {
+        if (!key?.fromMe || update?.status === undefined || update?.status === null) continue
+
+        const status = MESSAGE_ACK_STATUSES[update.status]
+        if (!status) continue
+
+        await this.forwardMessageStatus({ key, status, participant: null, timestamp: null })
+      }
+    })
+
+    this.sock.ev.on('message-receipt.update', async (receipts) => {
+      for (const { key, receipt } of receipts || []) {
+        if (!key?.fromMe || !receipt?.userJid) continue
+
+        const status = receipt.playedTimestamp
+          ? 'played'
+          : receipt.readTimestamp
+            ? 'read'
+            : receipt.receiptTimestamp
+              ? 'delivered'
+              : null
+        if (!status) continue
+
+        const timestamp = longToNumber(
+          receipt.playedTimestamp || receipt.readTimestamp || receipt.receiptTimestamp,
+        )
+        await this.forwardMessageStatus({ key, status, participant: receipt.userJid, timestamp })
+      }
+    })
+
     console.log(`[sock] handlers bound instance=${this.runtime.instanceId}`)
 
     this.sock.ev.on('connection.update', async (update) => {
-      if (update.qr) {
+      if (update.qr && this.loginMethod === 'pairing_code' && this.pairingPhone) {
+        // the socket keeps rotating QR refs while it waits; one pairing code covers the whole socket
+        await this.issuePairingCode()
+      } else if (update.qr) {
         try {
           const dataUrl = await QRCode.toDataURL(update.qr)
-          let delivered = false
-          for (let attempt = 0; attempt < 3 && !delivered; attempt++) {
-            if (attempt > 0) await sleep(SESSION_REFRESH_BACKOFF_MS[attempt - 1])
-            try {
-              await this.edgeClient.post('/update-status', {
-                instanceId: this.runtime.instanceId,
-                status: 'CONNECTING',
-                qr_code: dataUrl,
-              })
-              delivered = true
-            } catch (err) {
-              console.warn(
-                `[qr] delivery attempt=${attempt + 1} failed instance=${this.runtime.instanceId}: ${normalizeReason(err)}`,
-              )
-            }
-          }
+          const delivered = await this.deliverLoginStatus('awaiting_qr_scan', null, { qr_code: dataUrl }, 'qr')
           if (delivered) {
             console.log(`[qr] ready instance=${this.runtime.instanceId} — awaiting scan`)
           } else {
@@ -1144,9 +4510,19 @@ class ConnectionRunner {
         this.connectedAt = Date.now()
         this.reconnectAttempt = 0
         this.badMacTimestamps = []
+        this.signalErrorUsers.clear()
         this.clearReconnect()
+        const paired = Boolean(this.pairing)
+        this.clearPairing()
+        this.resetPairingBudget()
+        this.loginOverride = false
+        this.connectFailures = 0
+        this.startWatchdog()
         console.log(`[conn:${this.runtime.instanceId}] open jid=${this.sock?.user?.id || 'unknown'}`)
-        await this.edgeClient.safeUpdateStatus(this.runtime.instanceId, 'CONNECTED', null)
+        await this.reportState('connected', {
+          qrCode: null,
+          extra: paired ? { pairing_code: null, pairing_code_expires_at: null, pairing_error: null } : {},
+        })
         this.outbound.start()
         return
       }
@@ -1157,6 +4533,9 @@ class ConnectionRunner {
         const reason = normalizeReason(error)
         const wipeAuth = shouldWipeAuth(update)
         const isRestartRequired = statusCode === 515
+        const forced = this.forcedClose
+        this.forcedClose = null
+        this.lastDisconnectCode = statusCode || null
         this.registerSignalSessionError(error, 'connection-close')
 
         console.log(
@@ -1166,19 +4545,38 @@ class ConnectionRunner {
         this.connecting = false
         this.connected = false
         this.connectedAt = null
+        this.stopWatchdog()
         this.outbound.stop()
+        if (this.pairingTimer) {
+          clearTimeout(this.pairingTimer)
+          this.pairingTimer = null
+        }
+        const wasState = this.lifecycle.state
         this.sock = null
         this.runtime.sock = null
 
-        await this.edgeClient.safeUpdateStatus(this.runtime.instanceId, 'DISCONNECTED', null)
+        // intentional stops (graceful stop, auth wipe/restore) report their own state
+        if (this.intentionalStop) {
+          this.clearReconnect()
+          return
+        }
 
-        if (this.intentionalStop || !this.runtime.manager.isDesired(this.runtime.instanceId)) {
+        if (!this.runtime.manager.isDesired(this.runtime.instanceId)) {
           this.clearReconnect()
+          await this.reportState('stopped', { reason: 'not_desired', qrCode: null })
+          return
+        }
+
+        const closed = forced || this.classifyClose(statusCode, wipeAuth, wasState)
+        await this.reportState(closed.state, { reason: closed.reason, qrCode: null, extra: closed.extra })
+
+        if (forced?.trigger) {
+          this.scheduleReconnect({ trigger: forced.trigger })
           return
         }
 
         if (wipeAuth) {
-          await this.wipeAuthAndRestart('invalid-session')
+          await this.recoverAuth(statusCode === DisconnectReason.loggedOut ? 'logged-out' : 'invalid-session')
           return
         }
 
@@ -1191,7 +4589,679 @@ class ConnectionRunner {
     })
   }
 
-  registerSignalSessionError(errorLike, source) {
+  classifyClose(statusCode, wipeAuth, wasState) {
+    const reason = DISCONNECT_REASON_NAMES[statusCode] || 'connection_error'
+    if (statusCode === DisconnectReason.loggedOut) {
+      return { state: 'logged_out', reason }
+    }
+    if (statusCode === DisconnectReason.forbidden) {
+      return { state: 'banned', reason }
+    }
+    if (wipeAuth) {
+      return { state: 'recovering_session', reason }
+    }
+    if ((wasState === 'awaiting_qr_scan' || wasState === 'awaiting_pairing_code') && statusCode === DisconnectReason.timedOut) {
+      return { state: 'qr_expired', reason: 'qr_timeout' }
+    }
+
+    // 515 is the normal restart right after pairing, not a failure
+    if (statusCode === DisconnectReason.restartRequired) {
+      return { state: 'reconnecting', reason }
+    }
+    // a socket that never got past the handshake counts as a failed connect
+    if (wasState === 'connecting') {
+      this.connectFailures += 1
+    }
+    return { state: this.connectFailures >= CONNECT_FAILURE_ALERT_THRESHOLD ? 'connect_failing' : 'reconnecting', reason }
+  }
+
+  // records the transition and returns the /update-status fields for it
+  enterState(state, reason = null) {
+    const previous = this.lifecycle.state
+    if (state !== previous) {
+      this.lifecycle = { state, reason, previousState: previous, changedAt: Date.now() }
+      console.log(
+        `[state] instance=${this.runtime.instanceId} from=${previous} to=${state} reason=${reason || 'n/a'} attempt=${this.reconnectAttempt} failures=${this.connectFailures} lastCode=${this.lastDisconnectCode || 'n/a'}`,
+      )
+    } else {
+      this.lifecycle.reason = reason
+    }
+
+    return {
+      status: CONNECTION_STATE_STATUS[state],
+      state,
+      state_reason: reason,
+      state_changed_at: new Date(this.lifecycle.changedAt).toISOString(),
+      previous_state: this.lifecycle.previousState,
+      reconnect_attempt: this.reconnectAttempt,
+      connect_failures: this.connectFailures,
+      last_disconnect_code: this.lastDisconnectCode,
+    }
+  }
+
+  async reportState(state, { reason = null, qrCode, extra = {} } = {}) {
+    const { status, ...fields } = this.enterState(state, reason)
+    await this.edgeClient.safeUpdateStatus(this.runtime.instanceId, status, qrCode, { ...fields, ...extra })
+  }
+
+  // a runner replaced after an auth wipe/restore keeps the history the dashboard already saw
+  inheritLifecycle(previous) {
+    this.lifecycle = { ...previous.lifecycle }
+    this.lastDisconnectCode = previous.lastDisconnectCode
+    if (previous.loginOverride) {
+      this.configureLogin(previous.loginMethod, previous.pairingPhone, { override: true })
+    }
+  }
+
+  lifecycleStats() {
+    return {
+      state: this.lifecycle.state,
+      reason: this.lifecycle.reason,
+      since: new Date(this.lifecycle.changedAt).toISOString(),
+      reconnect_attempt: this.reconnectAttempt,
+      connect_failures: this.connectFailures,
+      last_disconnect_code: this.lastDisconnectCode,
+      lock_owner: this.lifecycle.reason === 'lock_conflict' ? this.lockOwner : null,
+    }
+  }
+
+  // method comes from /eligible-instances (login_method + pairing_phone) or POST /pairing-code;
+  // the admin route sets `override` so discovery cannot flip it back to qr before the instance pairs
+  configureLogin(method, phone, { override = false } = {}) {
+    if (override) {
+      this.loginOverride = true
+    } else if (this.loginOverride) {
+      return false
+    }
+
+    const loginMethod = method === 'pairing_code' ? 'pairing_code' : 'qr'
+    const pairingPhone = loginMethod === 'pairing_code' ? normalizeDigits(phone) || null : null
+    if (loginMethod === this.loginMethod && pairingPhone === this.pairingPhone) {
+      return false
+    }
+
+    this.loginMethod = loginMethod
+    this.pairingPhone = pairingPhone
+    this.resetPairingBudget()
+    this.clearPairing()
+    console.log(
+      `[pairing] login method instance=${this.runtime.instanceId} method=${loginMethod} phone=${pairingPhone ? `***${pairingPhone.slice(-4)}` : 'n/a'}`,
+    )
+    return true
+  }
+
+  resetPairingBudget() {
+    this.pairingCodesIssued = 0
+  }
+
+  clearPairing() {
+    if (this.pairingTimer) {
+      clearTimeout(this.pairingTimer)
+      this.pairingTimer = null
+    }
+    this.pairing = null
+  }
+
+  isAwaitingLogin() {
+    return Boolean(this.sock) && !this.sock.authState?.creds?.registered
+  }
+
+  // /update-status carrying a QR or pairing code; retried a few times because the operator is waiting on it
+  async deliverLoginStatus(state, reason, fields, tag) {
+    const stateFields = this.enterState(state, reason)
+    for (let attempt = 0; attempt < LOGIN_STATUS_DELIVERY_ATTEMPTS; attempt++) {
+      if (attempt > 0) await sleep(SESSION_REFRESH_BACKOFF_MS[attempt - 1])
+      try {
+        await this.edgeClient.post('/update-status', {
+          instanceId: this.runtime.instanceId,
+          ...stateFields,
+          ...fields,
+        })
+        return true
+      } catch (err) {
+        console.warn(
+          `[${tag}] delivery attempt=${attempt + 1} failed instance=${this.runtime.instanceId}: ${normalizeReason(err)}`,
+        )
+      }
+    }
+    return false
+  }
+
+  issuePairingCode() {
+    const sock = this.sock
+    if (this.loginMethod !== 'pairing_code' || !this.pairingPhone || !this.isAwaitingLogin()) {
+      return Promise.resolve(null)
+    }
+    if (this.pairing?.sock === sock && this.pairing.expiresAt > Date.now()) {
+      return Promise.resolve(this.pairing)
+    }
+    if (!this.pairingRequest) {
+      this.pairingRequest = this.requestPairingCode(sock).finally(() => {
+        this.pairingRequest = null
+      })
+    }
+    return this.pairingRequest
+  }
+
+  async requestPairingCode(sock) {
+    const instanceId = this.runtime.instanceId
+    if (this.pairingCodesIssued >= PAIRING_CODE_MAX_REQUESTS) {
+      if (this.pairingCodesIssued === PAIRING_CODE_MAX_REQUESTS) {
+        this.pairingCodesIssued += 1
+        console.error(`[pairing] attempts exhausted instance=${instanceId} max=${PAIRING_CODE_MAX_REQUESTS}`)
+        await this.deliverLoginStatus(
+          'awaiting_pairing_code',
+          'pairing_attempts_exhausted',
+          { qr_code: null, pairing_code: null, pairing_code_expires_at: null, pairing_error: 'pairing_attempts_exhausted' },
+          'pairing',
+        )
+      }
+      return null
+    }
+
+    this.pairingCodesIssued += 1
+    let code = null
+    for (let attempt = 0; attempt < SESSION_REFRESH_BACKOFF_MS.length && !code; attempt++) {
+      if (attempt > 0) await sleep(SESSION_REFRESH_BACKOFF_MS[attempt - 1])
+      if (this.sock !== sock) return null
+      try {
+        code = await sock.requestPairingCode(this.pairingPhone)
+      } catch (error) {
+        console.warn(`[pairing] request attempt=${attempt + 1} failed instance=${instanceId}: ${normalizeReason(error)}`)
+      }
+    }
+
+    if (!code) {
+      console.error(`[pairing] request failed after all retries instance=${instanceId}`)
+      await this.deliverLoginStatus(
+        'awaiting_pairing_code',
+        'pairing_code_request_failed',
+        { qr_code: null, pairing_code: null, pairing_code_expires_at: null, pairing_error: 'pairing_code_request_failed' },
+        'pairing',
+      )
+      // a fresh socket gets a fresh pairing session
+      this.expirePairing(sock, 'request-failed')
+      return null
+    }
+
+    this.clearPairing()
+    const expiresAt = Date.now() + PAIRING_CODE_TTL_MS
+    this.pairing = { code, expiresAt, sock }
+    this.pairingTimer = setTimeout(() => this.expirePairing(sock, 'code-expired'), PAIRING_CODE_TTL_MS)
+
+    const delivered = await this.deliverLoginStatus(
+      'awaiting_pairing_code',
+      null,
+      {
+        qr_code: null,
+        pairing_code: code,
+        pairing_code_expires_at: new Date(expiresAt).toISOString(),
+        pairing_error: null,
+      },
+      'pairing',
+    )
+    if (delivered) {
+      console.log(
+        `[pairing] code ready instance=${instanceId} attempt=${this.pairingCodesIssued}/${PAIRING_CODE_MAX_REQUESTS} — awaiting entry on phone`,
+      )
+    } else {
+      console.error(`[pairing] delivery failed after all retries instance=${instanceId}`)
+    }
+    return this.pairing
+  }
+
+  expirePairing(sock, trigger) {
+    this.pairingTimer = null
+    if (this.sock !== sock || !this.isAwaitingLogin()) {
+      return
+    }
+
+    console.warn(`[pairing] restarting socket instance=${this.runtime.instanceId} trigger=${trigger}`)
+    this.pairing = null
+    this.forcedClose =
+      trigger === 'code-expired'
+        ? { state: 'qr_expired', reason: 'pairing_code_expired' }
+        : { state: 'reconnecting', reason: 'pairing_code_request_failed' }
+    try {
+      sock.end(new Error(`pairing ${trigger}`))
+    } catch (error) {
+      console.warn(`[pairing] socket end failed instance=${this.runtime.instanceId}: ${normalizeReason(error)}`)
+    }
+  }
+
+  rememberOutboundMessage(waMessageId, queuedMessageId) {
+    if (!waMessageId) {
+      return
+    }
+
+    this.outboundMessageIds.set(waMessageId, queuedMessageId)
+    if (this.outboundMessageIds.size > MESSAGE_STATUS_CACHE_MAX_ENTRIES) {
+      this.outboundMessageIds.delete(this.outboundMessageIds.keys().next().value)
+    }
+  }
+
+  // every fromMe message is forwarded, not only outboundMessageIds: that map is in-memory and bounded,
+  // so sends from the phone, from before a restart or from another worker still get their receipts
+  // (messageId is null for those and the backend matches on wa_message_id)
+  async forwardMessageStatus({ key, status, participant, timestamp }) {
+    const instanceId = this.runtime.instanceId
+    const waMessageId = key?.id
+    if (!waMessageId) {
+      return
+    }
+
+    const participantCanonical = participant ? await this.resolveCanonicalJid(participant) : null
+    const cacheKey = `${waMessageId}:${participantCanonical || ''}`
+    const previousRank = this.messageStatusCache.get(cacheKey) || 0
+    if (MESSAGE_ACK_RANK[status] <= previousRank) {
+      return
+    }
+
+    const payload = {
+      instanceId,
+      wa_message_id: waMessageId,
+      messageId: this.outboundMessageIds.get(waMessageId) || null,
+      chat_id_norm: await this.resolveCanonicalJid(key.remoteJid),
+      status,
+      participant: participantCanonical,
+      timestamp: timestamp || Math.floor(Date.now() / 1000),
+    }
+
+    try {
+      await this.edgeClient.postMessageStatus(payload)
+      // only a delivered status may suppress later ones; a failed post lets the next receipt retry it
+      const rank = Math.max(this.messageStatusCache.get(cacheKey) || 0, MESSAGE_ACK_RANK[status])
+      this.messageStatusCache.set(cacheKey, rank)
+      if (this.messageStatusCache.size > MESSAGE_STATUS_CACHE_MAX_ENTRIES) {
+        this.messageStatusCache.delete(this.messageStatusCache.keys().next().value)
+      }
+      console.log(
+        `[message-status] ok instance=${instanceId} wa_message_id=${waMessageId} status=${status} participant=${participantCanonical || 'n/a'}`,
+      )
+    } catch (error) {
+      console.warn(
+        `[message-status] FAIL instance=${instanceId} wa_message_id=${waMessageId} status=${status} error=${normalizeReason(error)}`,
+      )
+    }
+  }
+
+  async resolveQuoteContext(msg) {
+    const context = extractQuoteContext(msg)
+    if (!context) {
+      return {
+        quotedMessageId: null,
+        quotedParticipant: null,
+        quotedBody: null,
+        quotedMediaType: null,
+        mentionedJids: [],
+        isForwarded: false,
+        forwardingScore: 0,
+      }
+    }
+
+    const mentionedJids = []
+    for (const jid of context.mentionedJids) {
+      const canonical = await this.resolveCanonicalJid(jid)
+      if (canonical && !mentionedJids.includes(canonical)) {
+        mentionedJids.push(canonical)
+      }
+    }
+
+    return {
+      ...context,
+      quotedParticipant: context.quotedParticipant
+        ? await this.resolveCanonicalJid(context.quotedParticipant)
+        : null,
+      mentionedJids,
+    }
+  }
+
+  async processInboundMessage(upsert, msg) {
+    const parties = await this.resolveInboundParties(msg)
+    if (!parties) return false
+
+    const inboundEvent = extractInboundEvent(msg)
+    if (inboundEvent) {
+      const extra = inboundEvent.eventType === 'poll_vote'
+        ? await this.applyPollVote(msg, inboundEvent, parties.senderJidCanonical)
+        : {}
+      if (!extra) return false
+
+      return this.forwardInboundEvent({
+        msg,
+        inboundEvent,
+        chatIdCanonical: parties.chatIdCanonical,
+        senderJidCanonical: parties.senderJidCanonical,
+        senderPn: parties.senderPn,
+        extra,
+      })
+    }
+
+    const built = await this.buildInboundPayload(msg, parties, resolvePushName(upsert, msg))
+    if (!built) return false
+
+    try {
+      return await this.deliverInbound('inbound', built.payload, {
+        media: built.pendingMedia,
+        logContext: `chat=${parties.chatIdNorm}`,
+      })
+    } finally {
+      // the spool holds its own reference once the entry is enqueued
+      if (built.pendingMedia) {
+        await this.mediaStore.releaseInbound(built.pendingMedia.hash)
+      }
+    }
+  }
+
+  async resolveInboundParties(msg) {
+    const instanceId = this.runtime.instanceId
+    const key = msg.key
+    const chatIdNorm = key?.remoteJid
+    if (!chatIdNorm) return null
+
+    const lidPnPair = extractLidPnPair(msg)
+    if (lidPnPair?.jid_lid && lidPnPair?.jid_pn) {
+      try {
+        await this.rememberIdentityAlias(lidPnPair.jid_lid, lidPnPair.jid_pn)
+      } catch (error) {
+        console.warn(
+          `[identity] alias-save-failed instance=${instanceId} lid=${lidPnPair.jid_lid} pn=${lidPnPair.jid_pn} error=${normalizeReason(error)}`,
+        )
+      }
+    }
+
+    const isGroup = chatIdNorm.endsWith('@g.us')
+    const senderJidRaw = isGroup
+      ? key.participant || chatIdNorm
+      : key.fromMe
+        ? this.sock?.user?.id || chatIdNorm
+        : chatIdNorm
+    const senderPn = extractSenderPn(msg)
+    const contactJid = key.fromMe
+      ? chatIdNorm
+      : senderPn || senderJidRaw
+
+    return {
+      chatIdNorm,
+      senderJidRaw,
+      senderPn,
+      contactJid,
+      chatIdCanonical: await this.resolveCanonicalJid(chatIdNorm),
+      senderJidCanonical: await this.resolveCanonicalJid(senderJidRaw, senderPn),
+    }
+  }
+
+  async buildInboundPayload(msg, parties, pushName) {
+    const instanceId = this.runtime.instanceId
+    const key = msg.key
+    const { senderJidRaw, senderPn, contactJid, chatIdCanonical, senderJidCanonical } = parties
+
+    const senderContactId = key.fromMe
+      ? null
+      : await this.resolveSenderContactId({
+          instanceId,
+          contactJid,
+          pushName,
+        })
+    const { isEphemeral, isViewOnce } = unwrapMessageContent(msg.message)
+    const { mediaType, body, content, structured = null } = extractInboundContent(msg)
+
+    if (!body && !mediaType && !structured) return null
+
+    if (structured?.poll) {
+      await this.rememberPoll(msg, structured.poll)
+    }
+
+    const quoteContext = await this.resolveQuoteContext(msg)
+
+    let mediaUrl = null
+    let mimeType = null
+    let fileName = null
+    let fileSize = null
+    let mediaHash = null
+    let mediaOmittedReason = null
+    if (mediaType && content) {
+      mimeType = content?.mimetype || null
+      fileName =
+        content?.fileName ||
+        `${key.id || `msg-${Date.now()}`}.${inferExtension({
+          mimeType,
+          fileName: content?.fileName || '',
+          mediaType,
+        })}`
+      fileSize = longToNumber(content?.fileLength)
+
+      if (fileSize && fileSize > MEDIA_MAX_BYTES) {
+        mediaOmittedReason = 'too_large'
+      } else {
+        try {
+          const stream = await downloadContentFromMessage(content, mediaType)
+          const stored = await this.mediaStore.putStream(stream, { mimeType, fileName, mediaType, maxBytes: MEDIA_MAX_BYTES })
+          mediaHash = stored.hash
+          fileSize = stored.size
+          mediaUrl = this.mediaStore.uploadedUrl(mediaHash)
+          if (mediaUrl) {
+            console.log(`[inbound-media] dedupe hit instance=${instanceId} messageId=${key.id || 'n/a'} sha256=${mediaHash}`)
+          }
+        } catch (error) {
+          if (error?.code === 'MEDIA_TOO_LARGE') {
+            mediaOmittedReason = 'too_large'
+            fileSize = error.size || fileSize
+          } else {
+            console.error(`[inbound-media] ERROR download instance=${instanceId} messageId=${key.id || 'n/a'}`, error)
+          }
+        }
+      }
+    }
+
+    if (mediaOmittedReason) {
+      console.warn(
+        `[inbound-media] omitted instance=${instanceId} messageId=${key.id || 'n/a'} reason=${mediaOmittedReason} size=${fileSize || 'n/a'} maxBytes=${MEDIA_MAX_BYTES}`,
+      )
+    } else if (mediaType && !mediaHash) {
+      return null
+    }
+
+    if (mediaHash && !mediaUrl) {
+      // held until the upload lands or the spool takes over, whatever else shares the hash
+      this.mediaStore.retainInbound(mediaHash)
+      try {
+        const uploaded = await uploadStoredMedia(this.edgeClient, this.mediaStore, mediaHash, {
+          instanceId,
+          messageId: key.id || null,
+          mime_type: mimeType,
+          file_name: sanitizeFileName(fileName),
+        })
+        mediaUrl = uploaded?.media_url || null
+        this.mediaStore.rememberUpload(mediaHash, mediaUrl)
+      } catch (error) {
+        console.error(`[inbound-media] ERROR upload instance=${instanceId} messageId=${key.id || 'n/a'}`, error)
+      }
+      if (mediaUrl) {
+        await this.mediaStore.releaseInbound(mediaHash)
+      }
+    }
+
+    const payload = {
+      instanceId,
+      from: senderJidRaw,
+      to: this.sock?.user?.id || '',
+      body,
+      wa_message_id: key.id || null,
+      timestamp: resolveMessageTimestamp(msg),
+      from_me: !!key.fromMe,
+      is_ephemeral: isEphemeral,
+      is_view_once: isViewOnce,
+      chat_id_norm: chatIdCanonical,
+      sender_jid_raw: senderJidCanonical,
+      sender_pn: senderPn,
+      sender_contact_id: senderContactId,
+      push_name: pushName,
+      media_type: mediaType,
+      media_url: mediaUrl,
+      mime_type: mimeType,
+      file_name: fileName,
+      file_size: fileSize,
+      media_omitted_reason: mediaOmittedReason,
+      quoted_wa_message_id: quoteContext.quotedMessageId,
+      quoted_participant: quoteContext.quotedParticipant,
+      quoted_body: quoteContext.quotedBody,
+      quoted_media_type: quoteContext.quotedMediaType,
+      mentioned_jids: quoteContext.mentionedJids,
+      is_forwarded: quoteContext.isForwarded,
+      forwarding_score: quoteContext.forwardingScore,
+      location: structured?.location || null,
+      contacts: structured?.contacts || null,
+      poll: structured?.poll || null,
+    }
+
+    return {
+      payload,
+      pendingMedia: mediaHash && !mediaUrl
+        ? {
+            hash: mediaHash,
+            messageId: key.id || null,
+            mime_type: mimeType,
+            file_name: sanitizeFileName(fileName),
+          }
+        : null,
+    }
+  }
+
+  async rememberPoll(msg, poll) {
+    const encKey =
+      msg.message?.messageContextInfo?.messageSecret ||
+      unwrapMessageContent(msg.message).messageNode?.messageContextInfo?.messageSecret
+    if (!encKey) {
+      console.warn(`[poll] missing message secret instance=${this.runtime.instanceId} poll=${msg.key?.id || 'n/a'}`)
+      return
+    }
+
+    try {
+      await this.pollStore.rememberPoll(msg.key?.id, {
+        creatorJid: resolveKeyAuthor(msg.key, this.sock?.user?.id),
+        encKey,
+        question: poll.question,
+        options: poll.options,
+        selectableCount: poll.selectable_count,
+      })
+    } catch (error) {
+      console.warn(
+        `[poll] store failed instance=${this.runtime.instanceId} poll=${msg.key?.id || 'n/a'} error=${normalizeReason(error)}`,
+      )
+    }
+  }
+
+  async applyPollVote(msg, inboundEvent, voterCanonical) {
+    const instanceId = this.runtime.instanceId
+    const pollMsgId = inboundEvent.targetKey?.id || null
+    const poll = pollMsgId ? await this.pollStore.getPoll(pollMsgId) : null
+
+    if (!poll || !inboundEvent.vote) {
+      console.warn(`[poll] vote skipped instance=${instanceId} poll=${pollMsgId || 'n/a'} reason=unknown-poll`)
+      return null
+    }
+
+    let selectedHashes
+    try {
+      const decrypted = decryptPollVote(inboundEvent.vote, {
+        pollCreatorJid: poll.creatorJid,
+        pollMsgId,
+        pollEncKey: Buffer.from(poll.encKey, 'base64'),
+        voterJid: resolveKeyAuthor(msg.key, this.sock?.user?.id),
+      })
+      selectedHashes = (decrypted?.selectedOptions || []).map((hash) => Buffer.from(hash).toString('hex'))
+    } catch (error) {
+      console.warn(
+        `[poll] vote decrypt failed instance=${instanceId} poll=${pollMsgId} error=${normalizeReason(error)}`,
+      )
+      return null
+    }
+
+    let results = null
+    try {
+      results = await this.pollStore.recordVote(pollMsgId, voterCanonical, selectedHashes)
+    } catch (error) {
+      // the vote is still forwarded, only without the tally
+      console.warn(`[poll] vote store failed instance=${instanceId} poll=${pollMsgId} error=${normalizeReason(error)}`)
+    }
+    const selectedOptions = poll.options
+      .filter((option) => selectedHashes.includes(option.hash))
+      .map((option) => option.name)
+
+    return {
+      poll_question: poll.question,
+      selected_options: selectedOptions,
+      poll_results: results,
+    }
+  }
+
+  async forwardInboundEvent({ msg, inboundEvent, chatIdCanonical, senderJidCanonical, senderPn, extra = {} }) {
+    const instanceId = this.runtime.instanceId
+    const targetId = inboundEvent.targetKey?.id || null
+
+    if (!targetId) {
+      console.warn(
+        `[inbound-event] skipped instance=${instanceId} type=${inboundEvent.eventType} reason=missing-target-key`,
+      )
+      return false
+    }
+
+    const payload = {
+      instanceId,
+      event_type: inboundEvent.eventType,
+      wa_message_id: targetId,
+      event_wa_message_id: msg.key?.id || null,
+      target_from_me: inboundEvent.targetKey?.fromMe ?? null,
+      chat_id_norm: chatIdCanonical,
+      sender_jid_raw: senderJidCanonical,
+      sender_pn: senderPn,
+      from_me: !!msg.key?.fromMe,
+      emoji: inboundEvent.emoji,
+      body: inboundEvent.body,
+      timestamp: resolveMessageTimestamp(msg),
+      ...extra,
+    }
+
+    return this.deliverInbound('event', payload, {
+      logContext: `type=${inboundEvent.eventType} target=${targetId} chat=${chatIdCanonical}`,
+    })
+  }
+
+  async deliverInbound(kind, payload, { media = null, logContext = '' } = {}) {
+    const instanceId = this.runtime.instanceId
+    const tag = kind === 'event' ? 'inbound-event' : 'inbound'
+
+    try {
+      await this.inboundSpool.load()
+    } catch (error) {
+      console.warn(`[inbound-spool] load failed instance=${instanceId} error=${normalizeReason(error)}`)
+    }
+
+    // keep delivery order: once something is spooled, everything behind it is spooled too
+    if (!media && this.inboundSpool.depth === 0) {
+      try {
+        await this.inboundSpool.deliver({ kind, payload, media: null })
+        console.log(`[${tag}] ok instance=${instanceId} ${logContext}`)
+        return true
+      } catch (error) {
+        this.registerSignalSessionError(error, 'inbound-delivery')
+        console.error(`[${tag}] FAIL instance=${instanceId} ${logContext} error=${normalizeReason(error)}`)
+      }
+    }
+
+    try {
+      await this.inboundSpool.enqueue({ kind, payload, media })
+      return true
+    } catch (error) {
+      console.error(
+        `[inbound-spool] enqueue failed instance=${instanceId} kind=${kind} ${logContext} error=${normalizeReason(error)}`,
+      )
+      return false
+    }
+  }
+
+  registerSignalSessionError(errorLike, source, jid = null) {
     if (!isSignalSessionError(errorLike)) {
       return
     }
@@ -1199,6 +5269,15 @@ class ConnectionRunner {
     const now = Date.now()
     this.badMacTimestamps.push(now)
     this.badMacTimestamps = this.badMacTimestamps.filter((timestamp) => now - timestamp <= BAD_MAC_WINDOW_MS)
+    const user = signalSessionUser(jid)
+    if (user) {
+      this.signalErrorUsers.set(user, now)
+    }
+    for (const [known, seenAt] of this.signalErrorUsers) {
+      if (now - seenAt > BAD_MAC_WINDOW_MS) {
+        this.signalErrorUsers.delete(known)
+      }
+    }
 
     const count = this.badMacTimestamps.length
     console.warn(
@@ -1227,15 +5306,221 @@ class ConnectionRunner {
       `[conn:${this.runtime.instanceId}] bad-mac circuit breaker tripped count=${sampleCount} threshold=${BAD_MAC_THRESHOLD} windowMs=${BAD_MAC_WINDOW_MS}`,
     )
     this.badMacTimestamps = []
-    await this.edgeClient.safeUpdateStatus(this.runtime.instanceId, 'DISCONNECTED', null)
-    await this.wipeAuthAndRestart('bad-mac-circuit-breaker')
+    await this.recoverAuth('bad-mac-circuit-breaker')
+  }
+
+  noteSocketActivity(kind) {
+    this.socketActivity[kind] = Date.now()
+  }
+
+  socketIdleMs(now = Date.now()) {
+    const { frame, ack, send } = this.socketActivity
+    return now - Math.max(frame, ack, send, this.connectedAt || 0)
+  }
+
+  startWatchdog() {
+    this.stopWatchdog()
+    this.watchdogProbeFailures = 0
+    if (!SOCKET_WATCHDOG_ENABLED) {
+      return
+    }
+
+    this.watchdogTimer = setInterval(() => {
+      this.checkSocketHealth().catch((error) => {
+        console.error(`[watchdog] check failed instance=${this.runtime.instanceId} error=${normalizeReason(error)}`)
+      })
+    }, SOCKET_WATCHDOG_INTERVAL_MS)
+  }
+
+  stopWatchdog() {
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer)
+      this.watchdogTimer = null
+    }
+  }
+
+  // Baileys only reconnects on a close event; a half-open socket can stay "connected" for hours.
+  // Idle sockets get an iq ping; too long without any frame, ack or send (or repeated probe
+  // failures) ends the socket and the close handler reconnects through scheduleReconnect.
+  async checkSocketHealth() {
+    const sock = this.sock
+    if (!sock || !this.connected || this.watchdogProbing) {
+      return
+    }
+
+    const idleMs = this.socketIdleMs()
+    if (idleMs >= SOCKET_STALE_AFTER_MS) {
+      this.forceReconnect(sock, 'silence', idleMs)
+      return
+    }
+    if (idleMs < SOCKET_WATCHDOG_INTERVAL_MS) {
+      this.watchdogProbeFailures = 0
+      return
+    }
+
+    this.watchdogProbing = true
+    try {
+      await sock.query(
+        { tag: 'iq', attrs: { to: S_WHATSAPP_NET, type: 'get', xmlns: 'w:p' }, content: [{ tag: 'ping', attrs: {} }] },
+        SOCKET_PROBE_TIMEOUT_MS,
+      )
+      this.watchdogProbeFailures = 0
+    } catch (error) {
+      if (sock !== this.sock) {
+        return
+      }
+      this.watchdogProbeFailures += 1
+      console.warn(
+        `[watchdog] probe failed instance=${this.runtime.instanceId} failures=${this.watchdogProbeFailures}/${SOCKET_PROBE_MAX_FAILURES} idleMs=${idleMs} error=${normalizeReason(error)}`,
+      )
+      if (this.watchdogProbeFailures >= SOCKET_PROBE_MAX_FAILURES) {
+        this.forceReconnect(sock, 'probe-failed', this.socketIdleMs())
+      }
+    } finally {
+      this.watchdogProbing = false
+    }
+  }
+
+  forceReconnect(sock, cause, idleMs) {
+    if (sock !== this.sock || this.forcedClose) {
+      return
+    }
+
+    this.forcedReconnects += 1
+    this.stopWatchdog()
+    console.warn(
+      `[watchdog] stale socket instance=${this.runtime.instanceId} cause=${cause} idleMs=${idleMs} forcedReconnects=${this.forcedReconnects}`,
+    )
+    this.forcedClose = {
+      state: 'reconnecting',
+      reason: 'stale_socket',
+      trigger: `stale-socket-${cause}`,
+      extra: { idle_ms: idleMs },
+    }
+    try {
+      sock.end(new Error(`stale socket (${cause})`))
+    } catch (error) {
+      console.warn(`[watchdog] socket end failed instance=${this.runtime.instanceId}: ${normalizeReason(error)}`)
+    }
+  }
+
+  watchdogStats() {
+    return {
+      enabled: SOCKET_WATCHDOG_ENABLED,
+      idle_ms: this.connected ? this.socketIdleMs() : null,
+      probe_failures: this.watchdogProbeFailures,
+      forced_reconnects: this.forcedReconnects,
+    }
+  }
+
+  // lockLost: another worker owns the instance now, so auth writes still pending here must not reach the store
+  async stopBackgroundTasks({ lockLost = false } = {}) {
+    this.stopWatchdog()
+    this.clearPairing()
+    this.inboundSpool.stop()
+    this.historyImporter.stop()
+    this.mediaStore.stop()
+    this.outbound.stopCallbackRetries()
+    await Promise.all([
+      this.inboundDedupe.flush(),
+      this.mediaStore.flush(),
+      this.messageStore.flush(),
+      this.outboundMedia.flush(),
+      lockLost ? this.authStore.reset({ flush: false }) : this.authStore.flush(),
+    ]).catch((error) => {
+      console.warn(`[conn:${this.runtime.instanceId}] state flush failed: ${normalizeReason(error)}`)
+    })
+  }
+
+  // Session corruption first gets a soft recovery (drop only the signal sessions, keep creds and keys).
+  // A second trigger inside AUTH_SOFT_RECOVERY_WINDOW_MS escalates to the full wipe; logged-out always wipes.
+  async recoverAuth(trigger) {
+    const instanceId = this.runtime.instanceId
+    const recoveries = this.runtime.manager.authRecoveries
+    const previous = recoveries.get(instanceId)
+    if (previous) {
+      clearTimeout(previous.timer)
+      recoveries.delete(instanceId)
+      console.warn(
+        `[auth-recovery] soft outcome=insufficient instance=${instanceId} trigger=${previous.trigger} scope=${previous.scope} removedSessions=${previous.removed} nextTrigger=${trigger} afterMs=${Date.now() - previous.at}`,
+      )
+    }
+
+    if (trigger === 'logged-out' || previous) {
+      await this.wipeAuthAndRestart(trigger)
+      return
+    }
+
+    await this.softRecoverAuth(trigger)
+  }
+
+  async softRecoverAuth(trigger) {
+    const instanceId = this.runtime.instanceId
+    const manager = this.runtime.manager
+    const users = new Set(this.signalErrorUsers.keys())
+    const scope = users.size > 0 ? 'affected' : 'all'
+    console.warn(`[auth-recovery] soft start instance=${instanceId} trigger=${trigger} scope=${scope} users=${users.size}`)
+
+    let removed = 0
+    await this.restartWithAuth(`soft-${trigger}`, async () => {
+      await this.snapshotAuth(`soft-${trigger}`)
+      removed = await this.authStore.removeSessions(users)
+    })
+    console.log(`[auth-recovery] soft applied instance=${instanceId} trigger=${trigger} scope=${scope} removedSessions=${removed}`)
+
+    const record = { trigger, scope, removed, at: Date.now(), timer: null }
+    record.timer = setTimeout(() => {
+      if (manager.authRecoveries.get(instanceId) !== record) {
+        return
+      }
+      manager.authRecoveries.delete(instanceId)
+      const connected = Boolean(manager.runtimes.get(instanceId)?.isConnected())
+      console.log(
+        `[auth-recovery] soft outcome=${connected ? 'sufficient' : 'inconclusive'} instance=${instanceId} trigger=${trigger} scope=${scope} removedSessions=${removed} windowMs=${AUTH_SOFT_RECOVERY_WINDOW_MS}`,
+      )
+    }, AUTH_SOFT_RECOVERY_WINDOW_MS)
+    manager.authRecoveries.set(instanceId, record)
+  }
+
+  async snapshotAuth(trigger) {
+    try {
+      const name = await this.authSnapshots.save(this.authStore, trigger)
+      console.log(`[auth-snapshot] saved instance=${this.runtime.instanceId} trigger=${trigger} snapshot=${name || 'empty'}`)
+    } catch (error) {
+      // never let a failed archive block the recovery itself
+      console.error(`[auth-snapshot] save failed instance=${this.runtime.instanceId} trigger=${trigger}: ${normalizeReason(error)}`)
+    }
   }
 
   async wipeAuthAndRestart(trigger) {
     console.warn(`[conn:${this.runtime.instanceId}] applying auth wipe trigger=${trigger}`)
+    await this.restartWithAuth(trigger, async () => {
+      await this.snapshotAuth(trigger)
+      await this.authStore.clear()
+    })
+  }
+
+  async restoreAuthAndRestart(snapshot) {
+    console.warn(`[conn:${this.runtime.instanceId}] applying auth restore snapshot=${snapshot.name}`)
+    const failure = await this.restartWithAuth('auth-restore', async () => {
+      await this.snapshotAuth('pre-restore')
+      await this.authStore.importEntries(snapshot.entries)
+    })
+    if (failure) {
+      throw failure
+    }
+  }
+
+  // stops this runner, applies the auth change and brings the instance back on a fresh runtime;
+  // returns the error from apply (if any) so callers decide whether it is fatal
+  async restartWithAuth(trigger, apply) {
     this.intentionalStop = true
     this.clearReconnect()
+    if (this.lifecycle.state !== 'logged_out') {
+      await this.reportState('recovering_session', { reason: trigger.replace(/-/g, '_'), qrCode: null })
+    }
     this.outbound.stop()
+    await this.stopBackgroundTasks()
     const oldSock = this.sock
     this.sock = null
     this.runtime.sock = null
@@ -1244,27 +5529,31 @@ class ConnectionRunner {
 
     if (oldSock) {
       try {
-        oldSock.end(new Error('auth wipe restart'))
+        oldSock.end(new Error(`auth ${trigger} restart`))
       } catch (endError) {
         // socket may already be closed; ignore
       }
     }
 
+    let failure = null
     try {
-      await fs.rm(this.authPath, { recursive: true, force: true })
+      await apply()
     } catch (error) {
-      console.error(`[conn:${this.runtime.instanceId}] auth wipe failed: ${normalizeReason(error)}`)
+      failure = error
+      console.error(`[conn:${this.runtime.instanceId}] auth ${trigger} failed: ${normalizeReason(error)}`)
     }
 
     try {
       this.runtime.manager.resetRuntime(this.runtime.instanceId)
+      this.runtime.manager.getOrCreateRuntime(this.runtime.instanceId).connection.inheritLifecycle(this)
       await this.runtime.manager.ensureRunning(this.runtime.instanceId)
     } catch (error) {
       console.error(
-        `[conn:${this.runtime.instanceId}] wipeAuthAndRestart restart failed trigger=${trigger}: ${normalizeReason(error)}`,
+        `[conn:${this.runtime.instanceId}] auth restart failed trigger=${trigger}: ${normalizeReason(error)}`,
       )
       // next discoveryCycle will retry
     }
+    return failure
   }
 
   scheduleReconnect({ delayMs = null, trigger = 'unknown' } = {}) {
@@ -1278,16 +5567,28 @@ class ConnectionRunner {
     )
 
     this.reconnectTimeout = setTimeout(() => {
-      this.runtime.manager.ensureRunning(this.runtime.instanceId).catch((error) => {
+      this.reconnect().catch((error) => {
         console.error(`[conn:${this.runtime.instanceId}] reconnect failed: ${normalizeReason(error)}`)
       })
     }, delay)
   }
 
-  async stopGracefully() {
+  async reconnect() {
+    const { instanceId, manager } = this.runtime
+    const started = await manager.ensureRunning(instanceId)
+    const lockOwner = manager.lockCoordinator.conflictOwner(instanceId)
+    if (!started && lockOwner && !manager.lockCoordinator.hasOwnership(instanceId)) {
+      // local only: the owner reports its own status and a post from here would clobber it
+      this.lockOwner = lockOwner
+      this.enterState('lock_held', 'lock_conflict')
+    }
+  }
+
+  async stopGracefully({ state = 'stopped', reason = 'stop' } = {}) {
     this.intentionalStop = true
     this.clearReconnect()
     this.outbound.stop()
+    await this.stopBackgroundTasks({ lockLost: reason === 'lock_lost' })
 
     if (this.sock) {
       try {
@@ -1303,7 +5604,7 @@ class ConnectionRunner {
     this.connected = false
     this.connectedAt = null
     this.reconnectAttempt = 0
-    await this.edgeClient.safeUpdateStatus(this.runtime.instanceId, 'DISCONNECTED', null)
+    await this.reportState(state, { reason, qrCode: null })
   }
 }
 
@@ -1312,8 +5613,8 @@ class EdgeClient {
     return `${EDGE_BASE_URL}${endpoint}`
   }
 
-  async get(endpoint) {
-    return requestJson('GET', endpoint)
+  async get(endpoint, options) {
+    return requestJson('GET', endpoint, undefined, options)
   }
 
   async getEligibleInstances(endpoint) {
@@ -1372,19 +5673,79 @@ class EdgeClient {
     return this.post('/contacts/resolve', payload)
   }
 
-  async uploadMedia(payload) {
-    return this.post('/upload-media', payload)
+  async postInbound(payload) {
+    return this.post('/inbound', payload)
+  }
+
+  async postInboundEvent(payload) {
+    return this.post('/inbound-events', payload)
+  }
+
+  async postInboundHistory(payload) {
+    return this.post('/inbound-history', payload)
+  }
+
+  async postMessageStatus(payload) {
+    return this.post('/message-status', payload)
+  }
+
+  async uploadMedia(payload, { size = 0 } = {}) {
+    return requestJson('POST', '/upload-media', payload, { timeoutMs: mediaTransferTimeoutMs(size) })
+  }
+
+  async uploadMediaStream({ instanceId, messageId, mime_type, file_name, filePath, size }) {
+    const controller = new AbortController()
+    const timeout = setTimeout(() => controller.abort(), mediaTransferTimeoutMs(size))
+
+    try {
+      const response = await fetch(this.absoluteUrl('/upload-media-raw'), {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${WORKER_SECRET}`,
+          'Content-Type': mime_type || 'application/octet-stream',
+          'Content-Length': String(size),
+          'X-Instance-Id': instanceId,
+          'X-Message-Id': messageId || '',
+          'X-File-Name': encodeURIComponent(file_name || ''),
+          'X-Mime-Type': mime_type || '',
+        },
+        body: createReadStream(filePath),
+        duplex: 'half',
+        signal: controller.signal,
+      })
+
+      if (!response.ok) {
+        throw await httpErrorFromResponse(response)
+      }
+
+      return response.json().catch(() => null)
+    } finally {
+      clearTimeout(timeout)
+    }
+  }
+
+  async getAuthState(instanceId) {
+    return this.get(`/auth-state?instanceId=${encodeURIComponent(instanceId)}`)
+  }
+
+  async postAuthState(payload) {
+    return this.post('/auth-state', payload)
+  }
+
+  async clearAuthState(instanceId) {
+    return this.post('/auth-state/clear', { instanceId })
   }
 
   async refreshSession(payload) {
     return this.post('/sessions/refresh', payload)
   }
 
-  async safeUpdateStatus(instanceId, status, qrCode) {
+  async safeUpdateStatus(instanceId, status, qrCode, extra = {}) {
     try {
       const payload = {
         instanceId,
         status,
+        ...extra,
       }
 
       if (qrCode !== undefined) {
@@ -1439,6 +5800,12 @@ class InstanceLockCoordinator {
     this.edgeClient = edgeClient
     this.onLockLost = onLockLost
     this.ownership = new Map()
+    this.conflicts = new Map()
+  }
+
+  // owner that held the lock on our last failed acquire, if any
+  conflictOwner(instanceId) {
+    return this.conflicts.get(instanceId) || null
   }
 
   getOwner(instanceId) {
@@ -1470,9 +5837,11 @@ class InstanceLockCoordinator {
       console.warn(
         `[lock_conflict] instance=${instanceId} instance_owner=${owner || 'unknown'} requester=${PROCESS_OWNER_ID}`,
       )
+      this.conflicts.set(instanceId, owner || 'unknown')
       return false
     }
 
+    this.conflicts.delete(instanceId)
     this.setOwnership(instanceId, {
       instanceOwner: owner || PROCESS_OWNER_ID,
       lockToken,
@@ -1521,6 +5890,7 @@ class InstanceLockCoordinator {
       console.error(
         `[lock_conflict] instance=${instanceId} instance_owner=${owner || 'unknown'} requester=${PROCESS_OWNER_ID}`,
       )
+      this.conflicts.set(instanceId, owner || 'unknown')
       await this.clearOwnership(instanceId, { releaseRemote: false })
       await this.onLockLost(instanceId)
       return false
@@ -1617,6 +5987,8 @@ class InstanceManager {
   constructor() {
     this.edgeClient = new EdgeClient()
     this.runtimes = new Map()
+    this.authRecoveries = new Map()
+    this.authRestores = new Set()
     this.desiredIds = new Set()
     this.discoveryInterval = null
     this.discoveryRunning = false
@@ -1644,6 +6016,10 @@ class InstanceManager {
   }
 
   async ensureRunning(instanceId) {
+    if (this.authRestores.has(instanceId)) {
+      return false
+    }
+
     if (!this.lockCoordinator.hasOwnership(instanceId)) {
       const acquired = await this.lockCoordinator.acquire(instanceId)
       if (!acquired) {
@@ -1660,11 +6036,32 @@ class InstanceManager {
       await runtime.connection.connect()
       return true
     } catch (error) {
+      await runtime.connection.authStore.reset()
       await this.lockCoordinator.release(instanceId, { reason: 'connect-failure' })
       throw error
     }
   }
 
+  // snapshot import for an instance without a local runtime: writing auth state needs the instance lock,
+  // and discovery must not connect on half-imported keys meanwhile
+  async importAuthSnapshot(instanceId, snapshot) {
+    const ownsLock = this.lockCoordinator.hasOwnership(instanceId)
+    if (!ownsLock && !(await this.lockCoordinator.acquire(instanceId))) {
+      return { imported: false, lockOwner: this.lockCoordinator.conflictOwner(instanceId) }
+    }
+
+    this.authRestores.add(instanceId)
+    try {
+      await createAuthStore(instanceId, this.edgeClient).importEntries(snapshot.entries)
+    } finally {
+      this.authRestores.delete(instanceId)
+      if (!ownsLock && !this.runtimes.has(instanceId)) {
+        await this.lockCoordinator.release(instanceId, { reason: 'auth-restore' })
+      }
+    }
+    return { imported: true }
+  }
+
   canStop(runtime) {
     if (!runtime.isConnected()) {
       return true
@@ -1677,14 +6074,14 @@ class InstanceManager {
     return Date.now() - runtime.connectedAt >= STOP_COOLDOWN_MS
   }
 
-  async stopGracefully(instanceId) {
+  async stopGracefully(instanceId, stopState = {}) {
     const runtime = this.runtimes.get(instanceId)
     if (!runtime) {
       await this.lockCoordinator.release(instanceId, { reason: 'runtime-missing' })
       return false
     }
 
-    await runtime.connection.stopGracefully()
+    await runtime.connection.stopGracefully(stopState)
     this.runtimes.delete(instanceId)
     await this.lockCoordinator.release(instanceId, { reason: 'stop-gracefully' })
     return true
@@ -1692,7 +6089,7 @@ class InstanceManager {
 
   async handleLockLost(instanceId) {
     console.error(`[lock_lost] instance=${instanceId} requester=${PROCESS_OWNER_ID}`)
-    await this.stopGracefully(instanceId)
+    await this.stopGracefully(instanceId, { state: 'lock_held', reason: 'lock_lost' })
   }
 
   stablePrioritize(instances) {
@@ -1757,6 +6154,10 @@ class InstanceManager {
 
           if (runtime) {
             runtime.priority = numberOrFallback(instance.priority, 0)
+            runtime.connection.outbound.pacer.configure(instance.send_pacing)
+            if (instance.login_method) {
+              runtime.connection.configureLogin(instance.login_method, instance.pairing_phone)
+            }
           }
 
           if (started) {
@@ -1780,7 +6181,7 @@ class InstanceManager {
           continue
         }
 
-        const stopped = await this.stopGracefully(runtime.instanceId)
+        const stopped = await this.stopGracefully(runtime.instanceId, { reason: 'not_desired' })
         if (stopped) {
           stoppedIds.push(runtime.instanceId)
         }
@@ -1821,7 +6222,7 @@ class InstanceManager {
     const runtimeIds = [...this.runtimes.keys()]
     for (const instanceId of runtimeIds) {
       try {
-        await this.stopGracefully(instanceId)
+        await this.stopGracefully(instanceId, { reason: 'shutdown' })
       } catch (error) {
         console.error(`[shutdown] stop failed instance=${instanceId} error=${normalizeReason(error)}`)
       }
@@ -1831,6 +6232,203 @@ class InstanceManager {
   }
 }
 
+function collectWorkerStats() {
+  const runtimes = instanceManager ? [...instanceManager.runtimes.values()] : []
+  const instances = runtimes.map((runtime) => ({
+    instanceId: runtime.instanceId,
+    connected: runtime.isConnected(),
+    inbound_spool_depth: runtime.connection.inboundSpool.depth,
+    inbound_dedupe: runtime.connection.inboundDedupe.stats(),
+    media_store: runtime.connection.mediaStore.stats(),
+    outbound_journal: runtime.connection.outbound.journal.stats(),
+    outbound_media: runtime.connection.outboundMedia.stats(),
+    socket_watchdog: runtime.connection.watchdogStats(),
+    lifecycle: runtime.connection.lifecycleStats(),
+  }))
+
+  return {
+    owner: PROCESS_OWNER_ID,
+    instances,
+    inbound_spool_depth: instances.reduce((sum, instance) => sum + instance.inbound_spool_depth, 0),
+    inbound_dedupe_hits: instances.reduce((sum, instance) => sum + instance.inbound_dedupe.hits, 0),
+  }
+}
+
+function isAuthorizedRequest(req) {
+  const expected = Buffer.from(`Bearer ${WORKER_SECRET}`)
+  const provided = Buffer.from(String(req.headers.authorization || ''))
+  return Boolean(WORKER_SECRET) && provided.length === expected.length && crypto.timingSafeEqual(provided, expected)
+}
+
+async function readJsonBody(req) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > HTTP_BODY_MAX_BYTES) {
+      throw Object.assign(new Error('body too large'), { statusCode: 413 })
+    }
+    chunks.push(chunk)
+  }
+  try {
+    return chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {}
+  } catch (error) {
+    throw Object.assign(new Error('invalid json body'), { statusCode: 400 })
+  }
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+async function handleNumberLookup(req, res) {
+  const body = await readJsonBody(req)
+  const numbers = Array.isArray(body?.numbers) ? body.numbers : null
+  if (!numbers || numbers.length === 0 || numbers.length > NUMBER_LOOKUP_MAX_NUMBERS) {
+    sendJson(res, 400, { error: `numbers must be a list of 1..${NUMBER_LOOKUP_MAX_NUMBERS} entries` })
+    return
+  }
+
+  const runtimes = instanceManager ? [...instanceManager.runtimes.values()] : []
+  const runtime = body?.instanceId
+    ? runtimes.find((candidate) => candidate.instanceId === body.instanceId)
+    : runtimes.find((candidate) => candidate.isConnected())
+  if (!runtime || !runtime.isConnected()) {
+    sendJson(res, 409, { error: 'no connected instance available', instanceId: body?.instanceId || null })
+    return
+  }
+
+  const results = await runtime.connection.numberLookup.check(numbers)
+  sendJson(res, 200, { instanceId: runtime.instanceId, results })
+}
+
+async function handleWake(req, res) {
+  const body = await readJsonBody(req)
+  const instanceIds = [...new Set([body?.instanceId, ...(Array.isArray(body?.instanceIds) ? body.instanceIds : [])])]
+    .filter(Boolean)
+    .map(String)
+  if (instanceIds.length === 0) {
+    sendJson(res, 400, { error: 'instanceId or instanceIds is required' })
+    return
+  }
+
+  const woken = []
+  const notRunning = []
+  for (const instanceId of instanceIds) {
+    const runtime = instanceManager?.runtimes.get(instanceId)
+    if (runtime?.isConnected()) {
+      runtime.connection.outbound.wake()
+      woken.push(instanceId)
+    } else {
+      notRunning.push(instanceId)
+    }
+  }
+
+  sendJson(res, 200, { woken, not_running: notRunning })
+}
+
+async function handlePairingCode(req, res) {
+  const body = await readJsonBody(req)
+  const phone = normalizeDigits(body?.phone)
+  if (!body?.instanceId || phone.length < 8 || phone.length > 15) {
+    sendJson(res, 400, { error: 'instanceId and phone (8..15 digits, with country code) are required' })
+    return
+  }
+
+  const runtime = instanceManager?.runtimes.get(String(body.instanceId))
+  if (!runtime) {
+    sendJson(res, 404, { error: 'instance not running on this worker', instanceId: body.instanceId })
+    return
+  }
+
+  const connection = runtime.connection
+  if (connection.isConnected()) {
+    sendJson(res, 409, { error: 'instance already connected', instanceId: runtime.instanceId })
+    return
+  }
+  // a code is only ever issued to an unregistered socket, so neither case would leave `pending`
+  if (connection.sock?.authState?.creds?.registered) {
+    sendJson(res, 409, { error: 'instance already registered', reason: 'already_registered', instanceId: runtime.instanceId })
+    return
+  }
+  if (!connection.sock && !connection.connecting && !connection.reconnectTimeout) {
+    sendJson(res, 409, { error: 'instance is not connecting', reason: 'not_connecting', instanceId: runtime.instanceId })
+    return
+  }
+
+  // an explicit admin call always re-arms the attempt budget
+  connection.configureLogin('pairing_code', phone, { override: true })
+  connection.resetPairingBudget()
+  const pairing = await connection.issuePairingCode()
+  if (!pairing) {
+    sendJson(res, 202, { instanceId: runtime.instanceId, status: 'pending' })
+    return
+  }
+
+  sendJson(res, 200, {
+    instanceId: runtime.instanceId,
+    pairing_code: pairing.code,
+    pairing_code_expires_at: new Date(pairing.expiresAt).toISOString(),
+  })
+}
+
+async function handleAuthSnapshots(req, res) {
+  const instanceId = new URL(req.url, 'http://localhost').searchParams.get('instanceId')
+  if (!instanceId) {
+    sendJson(res, 400, { error: 'instanceId is required' })
+    return
+  }
+  if (!isValidInstanceId(instanceId)) {
+    sendJson(res, 400, { error: 'invalid instanceId' })
+    return
+  }
+
+  const snapshots = await new AuthSnapshotStore(instanceId).list()
+  sendJson(res, 200, { instanceId, store: AUTH_STORE, snapshots: snapshots.reverse() })
+}
+
+async function handleAuthRestore(req, res) {
+  const body = await readJsonBody(req)
+  if (!body?.instanceId) {
+    sendJson(res, 400, { error: 'instanceId is required' })
+    return
+  }
+
+  const instanceId = String(body.instanceId)
+  if (!isValidInstanceId(instanceId)) {
+    sendJson(res, 400, { error: 'invalid instanceId' })
+    return
+  }
+  const snapshot = await new AuthSnapshotStore(instanceId).read(body.snapshot ? String(body.snapshot) : null)
+  if (!snapshot) {
+    sendJson(res, 404, { error: 'snapshot not found', instanceId, snapshot: body.snapshot || null })
+    return
+  }
+  if (snapshot.store !== AUTH_STORE) {
+    sendJson(res, 409, { error: `snapshot belongs to auth store ${snapshot.store}, worker uses ${AUTH_STORE}`, instanceId })
+    return
+  }
+
+  const runtime = instanceManager?.runtimes.get(instanceId)
+  if (runtime) {
+    await runtime.connection.restoreAuthAndRestart(snapshot)
+  } else if (instanceManager) {
+    const result = await instanceManager.importAuthSnapshot(instanceId, snapshot)
+    if (!result.imported) {
+      sendJson(res, 409, { error: 'instance lock is held by another worker', instanceId, lock_owner: result.lockOwner })
+      return
+    }
+  } else {
+    await createAuthStore(instanceId, new EdgeClient()).importEntries(snapshot.entries)
+  }
+
+  console.log(
+    `[auth-snapshot] restored instance=${instanceId} snapshot=${snapshot.name} keys=${snapshot.entries.length} restarted=${Boolean(runtime)}`,
+  )
+  sendJson(res, 200, { instanceId, snapshot: snapshot.name, keys: snapshot.entries.length, restarted: Boolean(runtime) })
+}
+
 async function startHealthServer() {
   const server = http.createServer((req, res) => {
     if (req.method === 'GET' && req.url === '/health') {
@@ -1839,6 +6437,87 @@ async function startHealthServer() {
       return
     }
 
+    if (req.method === 'GET' && req.url === '/stats') {
+      // lock owners and per-instance queue state are admin data, like the other routes below
+      if (!isAuthorizedRequest(req)) {
+        sendJson(res, 401, { error: 'unauthorized' })
+        return
+      }
+      sendJson(res, 200, collectWorkerStats())
+      return
+    }
+
+    if (req.method === 'POST' && req.url === '/wake') {
+      if (!isAuthorizedRequest(req)) {
+        sendJson(res, 401, { error: 'unauthorized' })
+        return
+      }
+      handleWake(req, res).catch((error) => {
+        console.error(`[wake] request failed: ${normalizeReason(error)}`)
+        if (!res.headersSent) {
+          sendJson(res, Number(error?.statusCode) || 500, { error: normalizeReason(error) })
+        }
+      })
+      return
+    }
+
+    if (req.method === 'GET' && /^\/auth-snapshots(\?|$)/.test(req.url)) {
+      if (!isAuthorizedRequest(req)) {
+        sendJson(res, 401, { error: 'unauthorized' })
+        return
+      }
+      handleAuthSnapshots(req, res).catch((error) => {
+        console.error(`[auth-snapshot] list request failed: ${normalizeReason(error)}`)
+        if (!res.headersSent) {
+          sendJson(res, 500, { error: normalizeReason(error) })
+        }
+      })
+      return
+    }
+
+    if (req.method === 'POST' && req.url === '/auth-restore') {
+      if (!isAuthorizedRequest(req)) {
+        sendJson(res, 401, { error: 'unauthorized' })
+        return
+      }
+      handleAuthRestore(req, res).catch((error) => {
+        console.error(`[auth-snapshot] restore request failed: ${normalizeReason(error)}`)
+        if (!res.headersSent) {
+          sendJson(res, Number(error?.statusCode) || 500, { error: normalizeReason(error) })
+        }
+      })
+      return
+    }
+
+    if (req.method === 'POST' && req.url === '/pairing-code') {
+      if (!isAuthorizedRequest(req)) {
+        sendJson(res, 401, { error: 'unauthorized' })
+        return
+      }
+      handlePairingCode(req, res).catch((error) => {
+        console.error(`[pairing] admin request failed: ${normalizeReason(error)}`)
+        if (!res.headersSent) {
+          sendJson(res, Number(error?.statusCode) || 500, { error: normalizeReason(error) })
+        }
+      })
+      return
+    }
+
+    if (req.method === 'POST' && req.url === '/lookup-numbers') {
+      if (!isAuthorizedRequest(req)) {
+        sendJson(res, 401, { error: 'unauthorized' })
+        return
+      }
+      handleNumberLookup(req, res).catch((error) => {
+        console.error(`[number-check] lookup request failed: ${normalizeReason(error)}`)
+        if (!res.headersSent) {
+          const statusCode = Number(error?.statusCode) || (error?.code === 'socket_not_ready' ? 409 : 502)
+          sendJson(res, statusCode, { error: normalizeReason(error) })
+        }
+      })
+      return
+    }
+
     res.writeHead(404)
     res.end()
   })
@@ -1862,12 +6541,17 @@ async function start() {
     console.error('[boot] Missing required env WORKER_SECRET')
   }
 
+  if (AUTH_STORE === 'backend' && !AUTH_STORE_SECRET) {
+    console.error('[boot] Missing required env AUTH_STORE_SECRET for AUTH_STORE=backend')
+  }
+  console.log(`[boot] auth store=${AUTH_STORE}`)
+
   setInterval(() => {
-    const total = instanceManager?.runtimes?.size ?? 0
-    const connected = instanceManager
-      ? [...instanceManager.runtimes.values()].filter((r) => r.isConnected()).length
-      : 0
-    console.log(`[worker] alive instances=${total} connected=${connected} owner=${PROCESS_OWNER_ID}`)
+    const stats = collectWorkerStats()
+    const connected = stats.instances.filter((instance) => instance.connected).length
+    console.log(
+      `[worker] alive instances=${stats.instances.length} connected=${connected} inboundSpool=${stats.inbound_spool_depth} dedupeHits=${stats.inbound_dedupe_hits} owner=${PROCESS_OWNER_ID}`,
+    )
   }, KEEP_ALIVE_MS)
 
   if (!EDGE_BASE_URL || !WORKER_SECRET) {